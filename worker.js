@@ -1,36 +1,146 @@
+// Built once per isolate: the route table and the shared OpenAPI components (both defined
+// at the end of this file) hold only constants.
+const ROUTES = routeTable();
+const OPENAPI_COMPONENTS = openApiComponents();
+
+// Page size and sort keys of the list routes (see readListParams), by operationId
+const LIST_OPTIONS = {
+  getShoppingList: { defaultLimit: 50, maxLimit: 50, sorts: ["name", "amount"] },
+  getStock: { defaultLimit: 25, maxLimit: 25, sorts: ["name", "best_before", "amount"] },
+  getStockSummary: { defaultLimit: 25, maxLimit: 25, sorts: ["name", "best_before", "amount"] },
+  getExpiringStock: { defaultLimit: 50, maxLimit: 50, sorts: ["best_before", "name"] },
+  getCookableRecipes: { defaultLimit: 25, maxLimit: 25, sorts: ["missing", "name"] },
+  getAuditLog: { defaultLimit: 20, maxLimit: 100, sorts: ["at"], defaultOrder: "desc" }
+};
+checkListRoutes();
+
 export default {
-  async fetch(req, env) {
+  async fetch(req, env, ctx) {
+    // -----------------------------
+    // OpenAPI document (public, so a GPT action can be set up by importing its URL)
+    // -----------------------------
+    const requestUrl = new URL(req.url);
+    if ((requestUrl.pathname === "/openapi.yaml" || requestUrl.pathname === "/openapi.json") && req.method === "GET") {
+      const document = openApiDocument(requestUrl.origin);
+      return requestUrl.pathname.endsWith(".json")
+        ? new Response(JSON.stringify(document, null, 2), { headers: { "Content-Type": "application/json" } })
+        : new Response(`${toYaml(document)}\n`, { headers: { "Content-Type": "application/yaml" } });
+    }
+
+    // Correlates one request across X-Request-Id, error bodies and the audit log
+    const requestId = readRequestId(req.headers.get("X-Request-Id"));
+
+    const BASE_JSON_HEADERS = { "Content-Type": "application/json", "X-Request-Id": requestId };
+
+    // Cached datasets this request read, reported as X-Cache-Status: products=hit, users=miss
+    const cacheReport = new Map();
+
+    const json = (obj, status = 200, extraHeaders = {}) =>
+      new Response(JSON.stringify(obj), {
+        status,
+        headers: { ...BASE_JSON_HEADERS, ...cacheStatusHeader(), ...extraHeaders }
+      });
+
+    const jsonError = (status, obj, extraHeaders = {}) => json(errorEnvelope(status, obj), status, extraHeaders);
+
     // -----------------------------
-    // Auth (static bearer gate)
+    // Auth (named bearer tokens with scopes, loaded once per request)
     // -----------------------------
-    const auth = req.headers.get("Authorization");
-    if (auth !== `Bearer ${env.OPENAI_BEARER_TOKEN}`) {
-      return new Response("Unauthorized", { status: 401 });
+    let apiTokens;
+    try {
+      apiTokens = await loadApiTokens();
+    } catch (err) {
+      console.log("Loading API tokens failed:", err);
+      return jsonError(503, { error: "auth_unavailable" });
+    }
+    if (apiTokens.length === 0) {
+      return jsonError(500, { error: "server_misconfigured", message: "No API tokens configured" });
+    }
+
+    const client = await authenticate(req.headers.get("Authorization"), apiTokens);
+    if (!client) {
+      return jsonError(401, { error: "unauthorized" }, { "WWW-Authenticate": "Bearer" });
     }
 
     const ALLOWED_METHODS = ["GET", "POST", "HEAD"];
     if (!ALLOWED_METHODS.includes(req.method)) {
-      return new Response("Method not allowed", { status: 405 });
+      return jsonError(405, { error: "method_not_allowed", method: req.method }, { Allow: ALLOWED_METHODS.join(", ") });
     }
 
     if (!env.UPSTREAM_BASE) {
-      return new Response("Server misconfigured (missing UPSTREAM_BASE)", { status: 500 });
+      return jsonError(500, { error: "server_misconfigured", message: "UPSTREAM_BASE is not set" });
     }
 
     if (!env.GROCY_API_KEY) {
-      return new Response("Server misconfigured (missing GROCY_API_KEY)", { status: 500 });
+      return jsonError(500, { error: "server_misconfigured", message: "GROCY_API_KEY is not set" });
     }
-    
+
     if (!env.CF_ACCESS_CLIENT_ID || !env.CF_ACCESS_CLIENT_SECRET) {
-      return new Response("Server misconfigured (missing CF Access credentials)", { status: 500 });
+      return jsonError(500, { error: "server_misconfigured", message: "Cloudflare Access credentials are not set" });
     }
 
     const url = new URL(req.url);
+
     const upstreamBase = env.UPSTREAM_BASE.replace(/\/+$/, ""); // no trailing slash
     const upstreamHost = new URL(upstreamBase).host;
 
+    // Most outbound calls one request may make; bulk routes fan out per line
+    const MAX_UPSTREAM_CALLS = Number(env.MAX_UPSTREAM_CALLS || 100);
+
+    // Every outbound call in this request goes through here. Past the cap it answers 503
+    // without calling out, so routes report it like any other upstream failure. The last
+    // failed call is kept so error responses can say what Grocy answered.
+    let upstreamCalls = 0;
+    let lastUpstreamFailure = null;
+    const fetch = async (input, init) => {
+      upstreamCalls++;
+      if (upstreamCalls > MAX_UPSTREAM_CALLS) {
+        return new Response(
+          JSON.stringify({ error: "upstream_call_limit_exceeded", limit: MAX_UPSTREAM_CALLS }),
+          { status: 503, headers: { "Content-Type": "application/json" } }
+        );
+      }
+      try {
+        const resp = await globalThis.fetch(input, init);
+        if (!resp.ok) lastUpstreamFailure = { response: resp.clone() };
+        return resp;
+      } catch (err) {
+        lastUpstreamFailure = { thrown: err };
+        throw err;
+      }
+    };
+    const upstreamCallsLeft = () => MAX_UPSTREAM_CALLS - upstreamCalls;
+
     const CACHE_VERSION = env.CACHE_VERSION || "v1.1";
+
+    // Grocy reference data cached per data centre, by dataset name (the names the purge route
+    // takes). Entries are fresh for CACHE_DURATION seconds, then served for up to
+    // CACHE_STALE_SECONDS more while a background refresh replaces them.
     const CACHE_DURATION = Number(env.CACHE_DURATION || 21600);
+    const CACHE_STALE_SECONDS = Number(env.CACHE_STALE_SECONDS ?? 21600);
+    const CACHED_DATASETS = {
+      products: "/api/objects/products",
+      shopping_lists: "/api/objects/shopping_lists",
+      stores: "/api/objects/shopping_locations",
+      locations: "/api/objects/locations",
+      product_groups: "/api/objects/product_groups",
+      recipes: "/api/objects/recipes",
+      quantity_units: "/api/objects/quantity_units",
+      quantity_unit_conversions: "/api/objects/quantity_unit_conversions",
+      meal_plan_sections: "/api/objects/meal_plan_sections",
+      product_barcodes: "/api/objects/product_barcodes",
+      users: "/api/users"
+    };
+
+    // Per-product stock details (last price and store, unit factors), cached by product id.
+    // Stock writes change them, so they are never served stale.
+    const STOCK_PRODUCT_TTL = 3600;
+
+    // How long a response stored under an Idempotency-Key is replayed (seconds)
+    const IDEMPOTENCY_TTL = Number(env.IDEMPOTENCY_TTL || 86400);
+
+    // How long a bulk booking's batch_id can be passed to /api/enriched/stock/undo (seconds)
+    const UNDO_BATCH_TTL = Number(env.UNDO_BATCH_TTL || 86400);
 
     const DEFAULT_LOCATION_NAME = env.DEFAULT_LOCATION_NAME || "Fridge";
 
@@ -41,7 +151,56 @@ export default {
       price: env.DEFAULT_PRICE_UNIT || "Piece"
     };
 
-    const BASE_JSON_HEADERS = { "Content-Type": "application/json" };
+    // Requests per client per minute, by budget; a token's own rate_limits override these
+    const RATE_LIMIT_WINDOW_SECONDS = 60;
+    const DEFAULT_RATE_LIMITS = { read: 120, write: 30, passthrough: 60 };
+    const RATE_LIMITS = { ...DEFAULT_RATE_LIMITS, ...parseJsonObject(env.RATE_LIMITS) };
+
+    // Audit log of writes (KV namespace bound as AUDIT_LOG); entries expire after AUDIT_TTL seconds
+    const AUDIT_TTL = Number(env.AUDIT_TTL || 7776000);
+    const AUDIT_MAX_INPUT_CHARS = 8192;
+
+    // Native Grocy routes reachable through the pass-through, as "METHOD /path*" rules
+    // separated by commas or newlines. A request must match an allow rule and no deny rule.
+    const DEFAULT_PASSTHROUGH_ALLOW = [
+      "GET /api/system/info",
+      "GET /api/system/time",
+      "GET /api/system/db-changed-time",
+      "GET /api/stock*",
+      "GET /api/objects/*",
+      "GET /api/recipes*",
+      "GET /api/chores*",
+      "GET /api/tasks*",
+      "GET /api/batteries*"
+    ].join(",");
+    const DEFAULT_PASSTHROUGH_DENY = [
+      "* /api/users*",
+      "* /api/user/*",
+      "* /api/files/*",
+      "* /api/system/config*",
+      "* /api/objects/users*",
+      "* /api/objects/api_keys*",
+      "* /api/objects/sessions*",
+      "* /api/objects/permission*"
+    ].join(",");
+    const PASSTHROUGH_ALLOW = parseRouteRules(env.PASSTHROUGH_ALLOW ?? DEFAULT_PASSTHROUGH_ALLOW);
+    const PASSTHROUGH_DENY = parseRouteRules(env.PASSTHROUGH_DENY ?? DEFAULT_PASSTHROUGH_DENY);
+    const PASSTHROUGH_MAX_BYTES = Number(env.PASSTHROUGH_MAX_BYTES || 1048576);
+
+    // Upstream response headers forwarded by the pass-through; everything else (Set-Cookie,
+    // Server, X-Powered-By, ...) is dropped.
+    const PASSTHROUGH_RESPONSE_HEADERS = ["content-type", "content-disposition", "cache-control", "etag", "last-modified"];
+
+    // Grocy product userfield holding comma-separated alternative names
+    const PRODUCT_ALIAS_USERFIELD = env.PRODUCT_ALIAS_USERFIELD || "aliases";
+
+    // Open Food Facts-compatible product lookup for barcodes Grocy does not know, with
+    // {barcode} in place of the code, e.g. https://world.openfoodfacts.org/api/v2/product/{barcode}.json.
+    // Unset: unknown barcodes get no suggestion.
+    const BARCODE_LOOKUP_URL = env.BARCODE_LOOKUP_URL || "";
+    const BARCODE_LOOKUP_TIMEOUT_MS = 3000;
+    const IMAGE_DOWNLOAD_TIMEOUT_MS = 5000;
+    const MIN_MATCH_SCORE = 35;
 
     const upstreamJsonHeaders = {
       Host: upstreamHost,
@@ -62,14 +221,6 @@ export default {
     // -----------------------------
     // Small helpers
     // -----------------------------
-    const json = (obj, status = 200, extraHeaders = {}) =>
-      new Response(JSON.stringify(obj), {
-        status,
-        headers: { ...BASE_JSON_HEADERS, ...extraHeaders }
-      });
-
-    const jsonError = (status, obj) => json(obj, status);
-
     async function safeJson(req) {
       try {
         return await req.json();
@@ -78,704 +229,8191 @@ export default {
       }
     }
 
-    function normalize(str) {
-      return String(str || "")
-        .toLowerCase()
-        .trim()
-        .replace(/[^a-z0-9\s]/g, "");
+    // Keeps a client-supplied X-Request-Id when it is short and plain, otherwise makes one up
+    function readRequestId(header) {
+      return header && /^[\w.:-]{1,64}$/.test(header) ? header : crypto.randomUUID();
     }
 
-    function scoreProduct(name, query) {
-      if (name === query) return 100;
-      if (name.startsWith(query)) return 60;
-      if (name.includes(query)) return 30;
-      return 0;
+    // Every error body is the route's own `error` code and details, plus a human `message`,
+    // whether sending the same request again may succeed, and the request id
+    function errorEnvelope(status, details) {
+      return {
+        ...details,
+        message: details.message ?? errorMessage(details.error),
+        retryable: details.retryable ?? isRetryable(status, details),
+        request_id: requestId
+      };
     }
 
-    async function cacheGetJson(cache, cacheKeyUrl, fetcher, ttlSeconds) {
-      const cacheKey = new Request(cacheKeyUrl);
-      let cached = await cache.match(cacheKey);
-      if (cached) return cached.json();
+    function isRetryable(status, { error, upstream }) {
+      const FINAL = [
+        "server_misconfigured",
+        "audit_log_not_configured",
+        "upstream_auth_failed",
+        "upstream_call_limit_exceeded",
+        "upstream_response_too_large"
+      ];
+      if (FINAL.includes(error)) return false;
+      // Grocy refusing the request itself will refuse it again
+      if (upstream?.status >= 400 && upstream.status < 500) return false;
+      return status === 429 || status >= 502 || error === "idempotency_key_in_progress";
+    }
 
-      const resp = await fetcher();
-      if (!resp.ok) return null;
+    // Human-readable text for an error code. Most codes belong to a naming family
+    // (*_not_found, multiple_*, invalid_*, *_unavailable, *_failed) that shares a template.
+    function errorMessage(code) {
+      const MESSAGES = {
+        unauthorized: "Missing or unknown bearer token",
+        auth_unavailable: "The API token store could not be read; retry shortly",
+        method_not_allowed: "Only GET, POST and HEAD are supported",
+        not_found: "No such route",
+        internal_error: "Unexpected error in the Worker",
+        invalid_json: "The request body is not valid JSON",
+        invalid_request: "Required fields are missing or cannot be combined",
+        invalid_line: "The line does not match the schema; see errors for each field",
+        validation_failed: "The request does not match the schema; see errors for each field",
+        insufficient_scope: "This token is not allowed to use this route",
+        rate_limited: "Too many requests; wait Retry-After seconds before retrying",
+        idempotency_key_conflict: "This Idempotency-Key was already used for a different request",
+        idempotency_key_in_progress: "The request first sent with this Idempotency-Key is still running",
+        passthrough_blocked: "This Grocy route is not reachable through the Worker",
+        upstream_error: "Grocy returned an error",
+        upstream_timeout: "Grocy did not answer in time",
+        upstream_unreachable: "Grocy could not be reached",
+        upstream_auth_failed: "Cloudflare Access rejected the Worker's credentials for Grocy",
+        upstream_response_too_large: "Grocy's response exceeds the pass-through size limit",
+        upstream_call_limit_exceeded: "The request needs more Grocy calls than one request may make; split it up",
+        audit_log_not_configured: "No KV namespace is bound as AUDIT_LOG",
+        insufficient_stock: "Not enough stock to consume that amount",
+        not_in_stock: "The product is not in stock",
+        unit_not_convertible: "There is no conversion from the given unit to the product's stock unit",
+        already_undone: "The transaction has already been undone",
+        product_exists: "A product with this name already exists",
+        item_not_on_list: "The product is not on the shopping list",
+        no_shopping_list_found: "Grocy has no shopping list",
+        date_range_too_large: "The date range is too long",
+        missing_query: "The q parameter is required",
+        product_ids_required: "Purging stock_product needs the product_ids to purge",
+        barcode_not_found: "No Grocy product has this barcode; suggestion holds what the external lookup found",
+        barcode_exists: "This barcode already belongs to a product",
+        duplicate_barcode: "The same barcode is listed more than once"
+      };
+      if (MESSAGES[code]) return MESSAGES[code];
 
-      const text = await resp.text();
-      const stored = new Response(text, {
-        headers: {
-          "Content-Type": "application/json",
-          "Cache-Control": `max-age=${ttlSeconds}`
-        }
-      });
+      const words = text => text.replace(/_/g, " ");
+      let match;
+      if ((match = /^(.+)_not_found$/.exec(code))) return `No ${words(match[1])} matches the request`;
+      if ((match = /^multiple_(.+)$/.exec(code))) {
+        const noun = words(match[1]).replace(/ies$/, "y").replace(/s$/, "");
+        return `More than one ${noun} matches; ask which one is meant`;
+      }
+      if ((match = /^invalid_(.+)$/.exec(code))) return `Invalid ${words(match[1])}`;
+      if ((match = /^(.+)_unavailable$/.exec(code))) return `Could not fetch ${words(match[1])} from Grocy`;
+      if ((match = /^(.+)_failed$/.exec(code))) return `The ${words(match[1])} call to Grocy failed`;
+      return words(code);
+    }
 
-      await cache.put(cacheKey, stored.clone());
-      return stored.json();
+    // What Grocy answered to a failed call, safe to show a client: HTML (a Cloudflare Access
+    // login page) is dropped, Grocy's error_message is preferred over the raw body, and the
+    // internal host and credentials are scrubbed in case the text echoes them.
+    async function describeUpstreamFailure(failure) {
+      if (!failure) return null;
+      if (failure.thrown) {
+        return { status: null, error: scrubSecrets(String(failure.thrown.message || failure.thrown)) };
+      }
+
+      const resp = failure.response;
+      const text = await resp.text().catch(() => "");
+      let error = null;
+      if (!(resp.headers.get("content-type") || "").includes("text/html")) {
+        try {
+          error = JSON.parse(text).error_message ?? text;
+        } catch {
+          error = text;
+        }
+      }
+      return { status: resp.status, error: error ? scrubSecrets(String(error)).slice(0, 500) : null };
     }
 
-    async function getCachedProducts(cache) {
-      const keyUrl = `https://cache.local/${CACHE_VERSION}/grocy/products`;
-      const data = await cacheGetJson(
-        cache,
-        keyUrl,
-        () => fetch(`${upstreamBase}/api/objects/products`, { headers: upstreamJsonHeaders }),
-        CACHE_DURATION
-      );
-      if (!data) throw new Error("Failed to fetch products");
-      return data;
+    function scrubSecrets(text) {
+      const secrets = [env.GROCY_API_KEY, env.CF_ACCESS_CLIENT_SECRET, env.CF_ACCESS_CLIENT_ID, upstreamBase, upstreamHost]
+        // Very short values would shred ordinary words and cannot be real credentials anyway
+        .filter(secret => secret && secret.length >= 6);
+      return secrets.reduce((out, secret) => out.split(secret).join("[redacted]"), text).trim();
     }
 
-    async function getCachedShoppingLists(cache) {
-      const keyUrl = `https://cache.local/${CACHE_VERSION}/grocy/shopping_lists`;
-      const data = await cacheGetJson(
-        cache,
-        keyUrl,
-        () => fetch(`${upstreamBase}/api/objects/shopping_lists`, { headers: upstreamJsonHeaders }),
-        CACHE_DURATION
-      );
-      if (!data) throw new Error("Failed to fetch shopping lists");
-      return data;
+    // 502 for a failed Grocy call, with what Grocy answered. When the per-request call cap
+    // was the cause that is reported instead, since the same request would hit it again.
+    async function upstreamError(details) {
+      if (upstreamCallsLeft() < 0) {
+        return jsonError(503, { error: "upstream_call_limit_exceeded", limit: MAX_UPSTREAM_CALLS });
+      }
+      return jsonError(502, { ...details, upstream: await describeUpstreamFailure(lastUpstreamFailure) });
     }
 
-    async function getCachedStores(cache) {
-      const keyUrl = `https://cache.local/${CACHE_VERSION}/grocy/stores`;
-      const data = await cacheGetJson(
-        cache,
-        keyUrl,
-        () => fetch(`${upstreamBase}/api/objects/shopping_locations`, { headers: upstreamJsonHeaders }),
-        CACHE_DURATION
-      );
-      if (!data) throw new Error("Failed to fetch stores");
-      return data;
+    // Response for a helper's { error, upstream } failure
+    function failureResponse(failed) {
+      return failed.upstream ? upstreamError(failed.error) : jsonError(400, failed.error);
     }
 
-    function resolveProductFuzzy(products, productName) {
-      const query = normalize(productName);
-      const matches = products
-        .map(p => ({
-          id: p.id,
-          name: p.name,
-          score: p.name ? scoreProduct(normalize(p.name), query) : 0
-        }))
-        .filter(p => p.score > 0)
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 5);
+    // A handler threw: a failed outbound call is reported like any other upstream failure,
+    // anything else is a bug and is logged under the request id
+    function unexpectedError(err) {
+      if (lastUpstreamFailure?.thrown === err) return upstreamError({ error: "upstream_unreachable" });
+      console.log(`Unhandled error (request ${requestId}):`, err);
+      return jsonError(500, { error: "internal_error" });
+    }
 
-      if (matches.length === 0) {
-        return { error: { error: "product_not_found", product: productName } };
-      }
-      if (matches.length > 1 && matches[0].score < 100) {
-        return {
-          error: {
-            error: "multiple_products",
-            products: matches.map(m => ({ id: m.id, name: m.name }))
-          }
-        };
-      }
-      return { product: matches[0] };
+    // Optional boolean body flag such as `dry_run`; undefined when the value is not a boolean
+    function readFlag(body, name, fallback = false) {
+      const value = body[name] === undefined ? fallback : body[name];
+      return typeof value === "boolean" ? value : undefined;
     }
 
-    // ============================================================
-    // ENRICHED: Add item to shopping list
-    // ============================================================
-    if (url.pathname === "/api/enriched/shopping_list/add" && req.method === "POST") {
-      const body = await safeJson(req);
-      if (!body) return jsonError(400, { error: "invalid_json" });
+    async function sha256Bytes(text) {
+      return new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+    }
 
-      const { product, amount, note, shopping_list_id } = body;
-      if (!product || typeof amount !== "number") {
-        return jsonError(400, { error: "invalid_request" });
-      }
+    async function sha256Hex(text) {
+      return [...await sha256Bytes(text)].map(b => b.toString(16).padStart(2, "0")).join("");
+    }
 
-      const cache = caches.default;
+    // Compares equal-length byte arrays without returning early on the first difference
+    function timingSafeEqual(a, b) {
+      if (a.length !== b.length) return false;
+      let diff = 0;
+      for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+      return diff === 0;
+    }
 
-      // Resolve list
-      let lists;
+    function parseJsonObject(text) {
       try {
-        lists = await getCachedShoppingLists(cache);
+        const parsed = JSON.parse(text || "{}");
+        return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
       } catch {
-        return new Response("Failed to fetch shopping lists", { status: 502 });
+        return {};
       }
+    }
 
-      let selectedList;
-      if (shopping_list_id) {
-        selectedList = lists.find(l => l.id === shopping_list_id);
-        if (!selectedList) return jsonError(400, { error: "invalid_shopping_list_id" });
-      } else if (lists.length === 1) {
-        selectedList = lists[0];
-      } else if (lists.length > 1) {
-        return json({
-          error: "multiple_lists",
-          lists: lists.map(l => ({ id: l.id, name: l.name }))
-        }, 400);
-      } else {
-        return jsonError(400, { error: "no_shopping_list_found" });
+    // "GET /api/stock*, * /api/files/*" -> [{ method, pattern }]; a rule without a method applies to all
+    function parseRouteRules(spec) {
+      return String(spec)
+        .split(/[,\n]/)
+        .map(rule => rule.trim())
+        .filter(Boolean)
+        .map(rule => {
+          const [method, path] = rule.includes(" ") ? rule.split(/\s+/, 2) : ["*", rule];
+          const escaped = path.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+          return { method: method.toUpperCase(), pattern: new RegExp(`^${escaped}$`) };
+        });
+    }
+
+    function matchesRouteRule(rules, method, path) {
+      // HEAD is a GET without a body, so GET rules cover it
+      const effectiveMethod = method === "HEAD" ? "GET" : method;
+      return rules.some(r => (r.method === "*" || r.method === effectiveMethod) && r.pattern.test(path));
+    }
+
+    // Tokens come from OPENAI_BEARER_TOKEN (all scopes, named "default"), the API_TOKENS
+    // JSON list and the "api_tokens" key of the optional API_TOKENS_KV namespace.
+    // Entries: { name, token, scopes: [...], not_before?, expires_at?, rate_limits? }
+    // Throws when the KV namespace cannot be read.
+    async function loadApiTokens() {
+      const tokens = [];
+      if (env.OPENAI_BEARER_TOKEN) {
+        tokens.push({ name: "default", token: env.OPENAI_BEARER_TOKEN, scopes: ["*"] });
       }
 
-      // Resolve product
-      let products;
-      try {
-        products = await getCachedProducts(cache);
-      } catch {
-        return new Response("Failed to fetch products", { status: 502 });
+      const sources = [env.API_TOKENS];
+      if (env.API_TOKENS_KV) sources.push(await env.API_TOKENS_KV.get("api_tokens", { cacheTtl: 60 }));
+
+      for (const source of sources) {
+        if (!source) continue;
+        try {
+          const parsed = typeof source === "string" ? JSON.parse(source) : source;
+          if (Array.isArray(parsed)) tokens.push(...parsed);
+        } catch {
+          // A malformed list grants nothing; the remaining sources still apply
+        }
       }
 
-      const resolved = resolveProductFuzzy(products, product);
-      if (resolved.error) return json(resolved.error, 400);
+      return tokens.filter(t =>
+        t &&
+        typeof t.name === "string" && t.name &&
+        typeof t.token === "string" && t.token &&
+        Array.isArray(t.scopes)
+      );
+    }
 
-      const productId = resolved.product.id;
+    // not_before / expires_at let an old and a new token for the same client overlap during rotation
+    function isTokenActive(token, now) {
+      if (token.not_before && !(Date.parse(token.not_before) <= now)) return false;
+      if (token.expires_at && !(Date.parse(token.expires_at) > now)) return false;
+      return true;
+    }
 
-      // Add item
-      const addResp = await fetch(`${upstreamBase}/api/stock/shoppinglist/add-product`, {
-        method: "POST",
-        headers: upstreamJsonHeaders,
-        body: JSON.stringify({
-          product_id: productId,
-          product_amount: amount,
-          note,
-          list_id: selectedList.id
-        })
-      });
+    // Returns { name, scopes, rate_limits } for the presented bearer token, or null.
+    // Every configured token is compared so timing does not reveal which one matched.
+    async function authenticate(authHeader, tokens) {
+      const presented = /^Bearer (.+)$/.exec(authHeader || "")?.[1];
+      if (!presented) return null;
 
-      if (!addResp.ok) return new Response("Failed to add item", { status: 502 });
+      const presentedDigest = await sha256Bytes(presented);
+      const now = Date.now();
+      let match = null;
 
-      return json({
-        status: "added",
-        list: { id: selectedList.id, name: selectedList.name },
-        item: {
-          product_id: productId,
-          product_name: resolved.product.name,
-          amount,
-          note: note ?? null
-        }
-      });
+      for (const token of tokens) {
+        const equal = timingSafeEqual(presentedDigest, await sha256Bytes(token.token));
+        if (equal && !match && isTokenActive(token, now)) match = token;
+      }
+
+      return match ? { name: match.name, scopes: match.scopes, rate_limits: match.rate_limits ?? null } : null;
     }
 
-    // ============================================================
-    // ENRICHED: Get shopping list (with pricing context)
-    // ============================================================
-    if (url.pathname === "/api/enriched/shopping_list" && req.method === "GET") {
-      const cache = caches.default;
-      const requestedListId = url.searchParams.get("list_id");
+    function findRoute(method, pathname) {
+      return ROUTES.find(r => r.method === method && r.path === pathname) ?? null;
+    }
 
-      let lists;
-      try {
-        lists = await getCachedShoppingLists(cache);
-      } catch {
-        return new Response("Failed to fetch shopping lists", { status: 502 });
-      }
+    // Enriched routes declare their scope in the route table; everything proxied straight
+    // to Grocy needs "passthrough".
+    function scopeForRoute(method, pathname) {
+      return findRoute(method, pathname)?.scope ?? "passthrough";
+    }
 
-      let selectedList;
-      if (requestedListId) {
-        selectedList = lists.find(l => String(l.id) === String(requestedListId));
-        if (!selectedList) return jsonError(400, { error: "invalid_shopping_list_id" });
-      } else if (lists.length === 1) {
-        selectedList = lists[0];
-      } else if (lists.length > 1) {
-        return json({
-          error: "multiple_lists",
-          lists: lists.map(l => ({ id: l.id, name: l.name }))
-        }, 400);
-      } else {
-        return json({ list: null, items: [] });
-      }
+    // Folds case and diacritics ("Crème fraîche" -> "creme fraiche", "Äpfel" -> "apfel")
+    // and turns punctuation into word breaks so names compare token by token.
+    function normalize(str) {
+      return String(str || "")
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/ß/g, "ss")
+        .replace(/['’]/g, "")
+        .replace(/[^\p{L}\p{N}\s]/gu, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+    }
 
-      const itemsResp = await fetch(
-        `${upstreamBase}/api/objects/shopping_list?list_id=${selectedList.id}`,
-        { headers: upstreamJsonHeaders }
-      );
-      if (!itemsResp.ok) return new Response("Failed to fetch shopping list items", { status: 502 });
+    function tokenize(normalized) {
+      return normalized ? normalized.split(" ") : [];
+    }
 
-      let items = await itemsResp.json();
-      items = items.slice(0, 50);
+    // English plural folding is enough for "tomatos"/"tomatoes"/"tomato" and "berries"/"berry"
+    function singularize(token) {
+      if (token.length > 4 && token.endsWith("ies")) return token.slice(0, -3) + "y";
+      if (token.length > 4 && /(oes|ses|xes|zes|ches|shes)$/.test(token)) return token.slice(0, -2);
+      if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1);
+      return token;
+    }
 
-      const productIds = [...new Set(items.map(i => i.product_id).filter(id => typeof id === "number"))];
+    // Levenshtein distance that also counts a swap of neighbours ("mlik") as one edit.
+    // Gives up early once every cell in a row exceeds `max`.
+    function editDistance(a, b, max) {
+      if (Math.abs(a.length - b.length) > max) return max + 1;
 
-      let products;
-      try {
-        products = await getCachedProducts(cache);
-      } catch {
-        return new Response("Failed to fetch products", { status: 502 });
+      let prevPrev = null;
+      let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+          const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+          curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+          if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+            curr[j] = Math.min(curr[j], prevPrev[j - 2] + 1);
+          }
+          rowMin = Math.min(rowMin, curr[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = curr;
       }
-      const productMap = Object.fromEntries(products.map(p => [p.id, p.name]));
+      return prev[b.length];
+    }
 
-      let stores;
-      try {
-        stores = await getCachedStores(cache);
-      } catch {
-        return new Response("Failed to fetch stores", { status: 502 });
-      }
-      const storeMap = Object.fromEntries(stores.map(s => [s.id, s.name]));
+    // How well a single query token matches a single name token (0..1)
+    function scoreToken(queryToken, nameToken) {
+      if (queryToken === nameToken) return { score: 1, kind: "exact" };
+      if (singularize(queryToken) === singularize(nameToken)) return { score: 0.95, kind: "plural" };
+      if (queryToken.length >= 2 && nameToken.startsWith(queryToken)) return { score: 0.8, kind: "prefix" };
 
-      // Last-purchase details per product (cached, parallel)
-      const lastPurchaseMap = {};
-      await Promise.all(productIds.map(async (productId) => {
-        const cacheKeyUrl = `https://cache.local/${CACHE_VERSION}/grocy/stock-product/${productId}`;
-        const details = await cacheGetJson(
-          cache,
-          cacheKeyUrl,
-          () => fetch(`${upstreamBase}/api/stock/products/${productId}`, { headers: upstreamJsonHeaders }),
-          3600
+      const maxTypos = queryToken.length >= 8 ? 2 : queryToken.length >= 4 ? 1 : 0;
+      if (maxTypos > 0) {
+        const distance = Math.min(
+          editDistance(queryToken, nameToken, maxTypos),
+          editDistance(singularize(queryToken), singularize(nameToken), maxTypos)
         );
-        if (!details) return;
+        if (distance <= maxTypos) return { score: distance === 1 ? 0.75 : 0.6, kind: "typo" };
+      }
 
-        lastPurchaseMap[productId] = {
-          last_price: details.last_price ?? null,
-          store_id: details.last_shopping_location_id ?? null,
-          price_qu_id: details.product?.qu_id_price ?? details.qu_id_price ?? null,
-          price_qu_name: details.quantity_unit_price?.name ?? null,
-          price_to_stock_factor: details.qu_conversion_factor_price_to_stock ?? null,
-          purchase_to_stock_factor: details.qu_conversion_factor_purchase_to_stock ?? null
-        };
-      }));
+      // Compound words, e.g. "milch" in "vollmilch"
+      if (queryToken.length >= 4 && nameToken.includes(queryToken)) return { score: 0.7, kind: "contains" };
+      return { score: 0, kind: null };
+    }
 
-      const enrichedItems = items.map(i => {
-        const last = lastPurchaseMap[i.product_id] ?? {};
-        return {
-          product_id: i.product_id,
-          product_name: productMap[i.product_id] ?? "Unknown",
-          amount: i.amount,
-          note: i.note ?? null,
-          last_store: last.store_id ? (storeMap[last.store_id] ?? null) : null,
-          pricing: {
-            last_price_per_price_unit: last.last_price,
-            price_unit: last.price_qu_name,
-            price_qu_id: last.price_qu_id,
-            amount: i.amount,
-            shopping_list_qu_id: i.qu_id ?? null,
-            purchase_to_stock_factor: last.purchase_to_stock_factor,
-            price_to_stock_factor: last.price_to_stock_factor
-          }
-        };
-      });
+    // Word-order independent match of a normalized query against a normalized name.
+    // Each query token takes its best unused name token; unmatched query tokens lower
+    // `coverage`, unmatched name tokens lower `precision`.
+    function scoreName(name, query) {
+      if (!name || !query) return { score: 0 };
+      if (name === query) return { score: 100, kind: "exact" };
 
-      return json({
-        list: { id: selectedList.id, name: selectedList.name },
-        items: enrichedItems
-      });
-    }
+      const nameTokens = tokenize(name);
+      const queryTokens = tokenize(query);
 
-    // ============================================================
-    // ENRICHED: Get stock (enriched)
-    // ============================================================
-    if (url.pathname === "/api/enriched/stock" && req.method === "GET") {
-      const stockResp = await fetch(`${upstreamBase}/api/objects/stock`, { headers: upstreamJsonHeaders });
-      if (!stockResp.ok) return new Response("Failed to fetch stock", { status: 502 });
+      // "tomatos" for "Tomatoes": the same words up to plural forms
+      if (nameTokens.map(singularize).join(" ") === queryTokens.map(singularize).join(" ")) {
+        return { score: 97, kind: "plural" };
+      }
 
-      let stock = await stockResp.json();
-      stock = stock.slice(0, 25);
+      const used = new Set();
+      const tokens = [];
+      let total = 0;
 
-      const productIds = [...new Set(stock.map(s => s.product_id).filter(id => typeof id === "number"))];
-      if (productIds.length === 0) return json([]);
+      for (const queryToken of queryTokens) {
+        let best = { score: 0, kind: null, index: -1 };
+        nameTokens.forEach((nameToken, index) => {
+          if (used.has(index)) return;
+          const candidate = scoreToken(queryToken, nameToken);
+          if (candidate.score > best.score) best = { ...candidate, index };
+        });
 
-      // Use cached products
-      const cache = caches.default;
-      let products;
-      try {
-        products = await getCachedProducts(cache);
-      } catch {
-        return new Response("Failed to fetch products", { status: 502 });
+        if (best.index >= 0) used.add(best.index);
+        total += best.score;
+        tokens.push({
+          query: queryToken,
+          matched: best.index >= 0 ? nameTokens[best.index] : null,
+          kind: best.kind
+        });
       }
 
-      const productMap = Object.fromEntries(products.map(p => [p.id, p.name]));
+      const coverage = total / queryTokens.length;
+      const precision = used.size / nameTokens.length;
+      if (coverage < 0.5) return { score: 0 };
 
-      const enriched = stock.map(s => ({
-        stock_id: s.id,
-        product_id: s.product_id,
-        product_name: productMap[s.product_id] ?? "Unknown",
-        amount: s.amount,
-        best_before_date: s.best_before_date ?? null
-      }));
+      return {
+        score: Math.round(85 * coverage * (0.75 + 0.25 * precision)),
+        kind: "tokens",
+        coverage: roundAmount(coverage),
+        precision: roundAmount(precision),
+        tokens
+      };
+    }
 
-      return json(enriched);
+    // Aliases live in a product userfield as a comma, semicolon or newline separated list
+    function productAliases(product) {
+      const raw = product?.userfields?.[PRODUCT_ALIAS_USERFIELD];
+      if (!raw) return [];
+      return String(raw).split(/[,;\n]/).map(a => a.trim()).filter(Boolean);
     }
 
-    // ============================================================
-    // ENRICHED: Product search
-    // ============================================================
-    if (url.pathname === "/api/enriched/products/search" && req.method === "GET") {
-      const q = url.searchParams.get("q");
-      const limitParam = url.searchParams.get("limit");
+    // Ranks entries by name (and optional aliases) against a free-text query.
+    // Alias matches score slightly below the same match on the real name.
+    function rankByName(entries, queryText, aliasesOf = () => []) {
+      const query = normalize(queryText);
 
-      if (!q || !q.trim()) return jsonError(400, { error: "missing_query" });
+      return entries
+        .map(entry => {
+          let best = { ...scoreName(normalize(entry.name), query), alias: null };
 
-      const limit = Math.min(Number(limitParam) || 5, 10);
-      const cache = caches.default;
+          for (const alias of aliasesOf(entry)) {
+            const aliasScore = scoreName(normalize(alias), query);
+            const score = aliasScore.kind === "exact" ? 95 : Math.round(aliasScore.score * 0.95);
+            if (score > best.score) {
+              best = { ...aliasScore, score, kind: `alias_${aliasScore.kind}`, alias };
+            }
+          }
 
-      let products;
-      try {
-        products = await getCachedProducts(cache);
-      } catch {
-        return new Response("Failed to fetch products", { status: 502 });
-      }
+          return { id: entry.id, name: entry.name, score: best.score, breakdown: best };
+        })
+        .filter(m => m.score >= MIN_MATCH_SCORE)
+        .sort((a, b) => b.score - a.score);
+    }
 
-      const query = normalize(q);
-      const matches = products
-        .map(p => ({
-          id: p.id,
-          name: p.name,
-          score: p.name ? scoreProduct(normalize(p.name), query) : 0
-        }))
-        .filter(p => p.score > 0)
-        .sort((a, b) => b.score - a.score)
-        .slice(0, limit);
+    // A ranking is decisive when the top match is exact, unique, or a strong match
+    // (plural form, exact alias, every word matched) well ahead of the runner-up.
+    function isDecisive(matches) {
+      if (matches.length === 1) return true;
+      const [top, second] = matches;
+      if (top.score === 100) return second.score < 100;
+      return top.score >= 80 && top.score - second.score >= 15;
+    }
 
-      return json({
-        query: q,
-        matches: matches.map(m => ({
-          id: m.id,
-          name: m.name,
-          confidence: Math.min(1, m.score / 100)
-        }))
-      });
+    function datasetCacheKey(name, id = null) {
+      return new Request(`https://cache.local/${CACHE_VERSION}/grocy/${name}${id === null ? "" : `/${id}`}`);
     }
 
-    // ============================================================
-    // ENRICHED: Product create
-    // ============================================================
-    if (url.pathname === "/api/enriched/products/create" && req.method === "POST") {
-      const body = await safeJson(req);
-      if (!body) return jsonError(400, { error: "invalid_json" });
+    // Reads a cached dataset (`id` only for stock_product), fetching it on a miss. Past its
+    // fresh TTL an entry is still returned within the stale window and refreshed in the
+    // background. Returns null when Grocy fails and nothing usable is cached.
+    async function cachedDataset(cache, name, id = null) {
+      const isStockProduct = name === "stock_product";
+      const upstreamPath = isStockProduct ? `/api/stock/products/${id}` : CACHED_DATASETS[name];
+      const ttl = isStockProduct ? STOCK_PRODUCT_TTL : CACHE_DURATION;
+      const stale = isStockProduct ? 0 : CACHE_STALE_SECONDS;
+      const cacheKey = datasetCacheKey(name, id);
 
-      const {
-        name,
-        description,
-        default_location,
-        quantity_units = {},
-        product_group,
-        image_url
-      } = body;
+      const cached = await cache.match(cacheKey);
+      if (cached) {
+        const ageSeconds = (Date.now() - Number(cached.headers.get("X-Fetched-At"))) / 1000;
+        if (ageSeconds < ttl) {
+          noteCacheStatus(name, "hit");
+          return cached.json();
+        }
+        if (ageSeconds < ttl + stale) {
+          noteCacheStatus(name, "stale");
+          const refresh = refreshDataset(cache, cacheKey, upstreamPath, ttl + stale).catch(() => null);
+          if (ctx?.waitUntil) ctx.waitUntil(refresh);
+          return cached.json();
+        }
+      }
 
-      if (!name || typeof name !== "string") return jsonError(400, { error: "invalid_request" });
+      noteCacheStatus(name, "miss");
+      return refreshDataset(cache, cacheKey, upstreamPath, ttl + stale);
+    }
+
+    async function refreshDataset(cache, cacheKey, upstreamPath, lifetimeSeconds) {
+      const resp = await fetch(`${upstreamBase}${upstreamPath}`, { headers: upstreamJsonHeaders });
+      if (!resp.ok) return null;
+
+      const text = await resp.text();
+      const stored = new Response(text, {
+        headers: {
+          "Content-Type": "application/json",
+          "Cache-Control": `max-age=${lifetimeSeconds}`,
+          "X-Fetched-At": String(Date.now())
+        }
+      });
+
+      await cache.put(cacheKey, stored.clone());
+      return stored.json();
+    }
+
+    // A dataset read several times in one request reports its worst outcome
+    function noteCacheStatus(name, status) {
+      const RANK = { hit: 0, stale: 1, miss: 2 };
+      if (!cacheReport.has(name) || RANK[status] > RANK[cacheReport.get(name)]) cacheReport.set(name, status);
+    }
+
+    function cacheStatusHeader() {
+      if (cacheReport.size === 0) return {};
+      return { "X-Cache-Status": [...cacheReport].map(([name, status]) => `${name}=${status}`).join(", ") };
+    }
 
+    // Drops cached datasets (and stock_product entries by product id) so the next read
+    // fetches them again. The Cache API is per data centre, so other locations keep their
+    // copies until they expire.
+    async function invalidateCached(names, productIds = []) {
       const cache = caches.default;
+      await Promise.all([
+        ...names.map(name => cache.delete(datasetCacheKey(name))),
+        ...productIds.map(id => cache.delete(datasetCacheKey("stock_product", id)))
+      ]);
+    }
 
-      // De-dupe check
-      let products;
-      try {
-        products = await getCachedProducts(cache);
-      } catch {
-        return new Response("Failed to fetch products", { status: 502 });
+    // After a successful write: the datasets the route declares in the route table (for
+    // stock_product, every product in the response), or for a pass-through write whatever
+    // dataset sits behind the Grocy path.
+    async function invalidateAfterWrite(response) {
+      const route = findRoute(req.method, url.pathname);
+      if (!route) {
+        const entity = /^\/api\/objects\/([a-z_]+)/.exec(url.pathname)?.[1];
+        const names = Object.keys(CACHED_DATASETS).filter(name => CACHED_DATASETS[name] === `/api/objects/${entity}`);
+        const productId = /^\/api\/stock\/products\/(\d+)\//.exec(url.pathname)?.[1];
+        if (url.pathname.startsWith("/api/users")) names.push("users");
+        return invalidateCached(names, productId ? [productId] : []);
       }
 
-      const normalizedName = normalize(name);
-      if (products.some(p => normalize(p.name) === normalizedName)) {
-        return jsonError(400, { error: "product_exists", product: name });
+      const invalidates = route.invalidates ?? [];
+      let productIds = [];
+      if (invalidates.includes("stock_product")) {
+        const output = await response.json().catch(() => null);
+        productIds = (collectAuditRefs(output).resolved.product ?? []).map(p => p.id);
       }
+      return invalidateCached(invalidates.filter(name => name !== "stock_product"), productIds);
+    }
 
-      // Resolve location
-      const locationName = default_location || DEFAULT_LOCATION_NAME;
-      const locations = await cacheGetJson(
-        cache,
-        `https://cache.local/${CACHE_VERSION}/grocy/locations`,
-        () => fetch(`${upstreamBase}/api/objects/locations`, { headers: upstreamJsonHeaders }),
-        CACHE_DURATION
-      );
-      if (!locations) return new Response("Failed to fetch locations", { status: 502 });
+    async function getCachedProducts(cache) {
+      const data = await cachedDataset(cache, "products");
+      if (!data) throw new Error("Failed to fetch products");
+      return data;
+    }
 
-      const location = locations.find(l => normalize(l.name) === normalize(locationName));
-      if (!location) return jsonError(400, { error: "invalid_location", location: locationName });
+    async function getCachedShoppingLists(cache) {
+      const data = await cachedDataset(cache, "shopping_lists");
+      if (!data) throw new Error("Failed to fetch shopping lists");
+      return data;
+    }
 
-      // Resolve quantity units
-      const units = await cacheGetJson(
-        cache,
-        `https://cache.local/${CACHE_VERSION}/grocy/quantity-units`,
-        () => fetch(`${upstreamBase}/api/objects/quantity_units`, { headers: upstreamJsonHeaders }),
-        CACHE_DURATION
-      );
-      if (!units) return new Response("Failed to fetch quantity units", { status: 502 });
+    async function getCachedStores(cache) {
+      const data = await cachedDataset(cache, "stores");
+      if (!data) throw new Error("Failed to fetch stores");
+      return data;
+    }
 
-      const resolveUnit = (unitName) => units.find(u => normalize(u.name) === normalize(unitName));
+    async function getCachedLocations(cache) {
+      const data = await cachedDataset(cache, "locations");
+      if (!data) throw new Error("Failed to fetch locations");
+      return data;
+    }
 
-      const resolvedUnits = {
-        stock: resolveUnit(quantity_units.stock || DEFAULT_UNITS.stock),
-        purchase: resolveUnit(quantity_units.purchase || DEFAULT_UNITS.purchase),
-        consume: resolveUnit(quantity_units.consume || DEFAULT_UNITS.consume),
-        price: resolveUnit(quantity_units.price || DEFAULT_UNITS.price)
-      };
+    async function getCachedProductGroups(cache) {
+      const data = await cachedDataset(cache, "product_groups");
+      if (!data) throw new Error("Failed to fetch product groups");
+      return data;
+    }
 
-      for (const [key, unit] of Object.entries(resolvedUnits)) {
-        if (!unit) return jsonError(400, { error: "invalid_quantity_unit", unit: key });
-      }
+    // Only user recipes; Grocy also stores meal-plan days and shadow copies as recipes
+    async function getCachedRecipes(cache) {
+      const data = await cachedDataset(cache, "recipes");
+      if (!data) throw new Error("Failed to fetch recipes");
+      return data.filter(r => !r.type || r.type === "normal");
+    }
 
-      // Resolve product group (optional)
-      let product_group_id = null;
-      if (product_group) {
-        const pgResp = await fetch(`${upstreamBase}/api/objects/product_groups`, { headers: upstreamJsonHeaders });
-        if (!pgResp.ok) return new Response("Failed to fetch product groups", { status: 502 });
+    async function getCachedQuantityUnits(cache) {
+      const data = await cachedDataset(cache, "quantity_units");
+      if (!data) throw new Error("Failed to fetch quantity units");
+      return data;
+    }
 
-        const groups = await pgResp.json();
-        const match = groups.find(g => normalize(g.name) === normalize(product_group));
-        if (!match) return jsonError(400, { error: "invalid_product_group", product_group });
-        product_group_id = match.id;
-      }
+    async function getCachedUnitConversions(cache) {
+      const data = await cachedDataset(cache, "quantity_unit_conversions");
+      if (!data) throw new Error("Failed to fetch quantity unit conversions");
+      return data;
+    }
 
-      // Create product
-      const createResp = await fetch(`${upstreamBase}/api/objects/products`, {
-        method: "POST",
-        headers: upstreamJsonHeaders,
-        body: JSON.stringify({
-          name,
-          description,
-          location_id: location.id,
-          qu_id_stock: resolvedUnits.stock.id,
-          qu_id_purchase: resolvedUnits.purchase.id,
-          qu_id_consume: resolvedUnits.consume.id,
-          qu_id_price: resolvedUnits.price.id,
-          product_group_id
-        })
-      });
-      if (!createResp.ok) return new Response("Failed to create product", { status: 502 });
+    async function getCachedProductBarcodes(cache) {
+      const data = await cachedDataset(cache, "product_barcodes");
+      if (!data) throw new Error("Failed to fetch product barcodes");
+      return data;
+    }
 
-      const created = await createResp.json();
-      const productId = created.id;
+    function resolveQuantityUnit(units, unitName) {
+      const query = normalize(unitName);
+      const matches = (candidate) =>
+        units.find(u => normalize(u.name) === candidate || (u.name_plural && normalize(u.name_plural) === candidate));
 
-      // Optional image upload (best effort)
-      let imageAttached = false;
-      let imageError = null;
+      // Tolerate "packs" / "boxes" when Grocy has no plural name configured
+      return matches(query) || matches(query.replace(/s$/, "")) || matches(query.replace(/es$/, ""));
+    }
 
-      if (image_url) {
-        try {
-          const imgResp = await fetch(image_url);
-          if (!imgResp.ok) throw new Error(`image fetch failed (${imgResp.status})`);
+    // Finds the factor that turns an amount in `fromQuId` into `toQuId` for a product.
+    // Product-specific conversions win over global ones (product_id = null); every
+    // conversion is also usable in reverse, and chains such as kg -> g -> piece are followed.
+    function findUnitConversion(conversions, productId, fromQuId, toQuId) {
+      if (fromQuId === toQuId) return { factor: 1 };
 
-          const size = Number(imgResp.headers.get("content-length") || 0);
-          if (size > 5_000_000) throw new Error("image too large");
+      // Per direction the strongest edge wins: product-specific over global, then a row
+      // defined in that direction over the reverse of one, whatever order the rows come in
+      const edges = new Map();
+      const addEdge = (from, to, factor, specific, explicit) => {
+        const key = `${from}>${to}`;
+        const rank = (specific ? 2 : 0) + (explicit ? 1 : 0);
+        const existing = edges.get(key);
+        if (existing && existing.rank >= rank) return;
+        edges.set(key, { from, to, factor, rank });
+      };
 
-          const ct = imgResp.headers.get("content-type") || "";
-          if (!ct.startsWith("image/")) throw new Error(`invalid content-type (${ct})`);
+      for (const c of conversions) {
+        const specific = c.product_id != null && Number(c.product_id) === Number(productId);
+        if (c.product_id != null && !specific) continue;
 
-          const blob = await imgResp.blob();
-          const form = new FormData();
-          form.append("file", blob, "product.jpg");
+        const factor = Number(c.factor);
+        if (!factor) continue;
 
-          const uploadResp = await fetch(`${upstreamBase}/api/files/productpictures/${productId}`, {
-            method: "POST",
-            headers: upstreamFileHeaders,
-            body: form
-          });
+        const from = Number(c.from_qu_id);
+        const to = Number(c.to_qu_id);
+        addEdge(from, to, factor, specific, true);
+        addEdge(to, from, 1 / factor, specific, false);
+      }
 
-          if (!uploadResp.ok) {
-            const text = await uploadResp.text();
-            throw new Error(`upload failed (${uploadResp.status}): ${text}`);
-          }
+      const neighbours = new Map();
+      for (const e of edges.values()) {
+        if (!neighbours.has(e.from)) neighbours.set(e.from, []);
+        neighbours.get(e.from).push(e);
+      }
 
-          imageAttached = true;
-        } catch (err) {
-          imageError = err.message;
-          console.log("Image upload failed:", imageError);
+      // Breadth-first so the shortest chain wins
+      const queue = [{ quId: Number(fromQuId), factor: 1 }];
+      const seen = new Set([Number(fromQuId)]);
+      while (queue.length > 0) {
+        const { quId, factor } = queue.shift();
+        for (const e of neighbours.get(quId) ?? []) {
+          if (seen.has(e.to)) continue;
+          if (e.to === Number(toQuId)) return { factor: factor * e.factor };
+          seen.add(e.to);
+          queue.push({ quId: e.to, factor: factor * e.factor });
         }
       }
+      return null;
+    }
 
-      // Invalidate product cache
-      await caches.default.delete(new Request(`https://cache.local/${CACHE_VERSION}/grocy/products`));
+    // Shared ambiguity rule for every fuzzy lookup. `kind` names the error codes:
+    // "<kind>_not_found" and "multiple_<kind>s" with a candidate list.
+    function resolveFuzzy(kind, entries, queryText, aliasesOf) {
+      const matches = rankByName(entries.filter(e => e.name), queryText, aliasesOf).slice(0, 5);
 
-      return json({
-        status: "created",
-        product: { id: productId, name },
-        location: location.name,
-        quantity_units: {
-          stock: resolvedUnits.stock.name,
-          purchase: resolvedUnits.purchase.name,
-          consume: resolvedUnits.consume.name,
-          price: resolvedUnits.price.name
-        },
-        image: { attached: imageAttached, error: imageError }
-      });
+      if (matches.length === 0) {
+        return { error: { error: `${kind}_not_found`, [kind]: queryText } };
+      }
+      if (!isDecisive(matches)) {
+        return {
+          error: {
+            error: `multiple_${kind}s`,
+            [`${kind}s`]: matches.map(m => ({ id: m.id, name: m.name }))
+          }
+        };
+      }
+      return { match: matches[0] };
     }
 
-    // ============================================================
-    // ENRICHED: Stock add (single)
-    // ============================================================
-    if (url.pathname === "/api/enriched/stock/add" && req.method === "POST") {
-      const body = await safeJson(req);
-      if (!body) return jsonError(400, { error: "invalid_json" });
+    function resolveProductFuzzy(products, productName) {
+      const resolved = resolveFuzzy("product", products, productName, productAliases);
+      return resolved.error ? resolved : { product: resolved.match };
+    }
 
-      const { product, amount, price, best_before_date } = body;
-      if (!product || typeof amount !== "number") return jsonError(400, { error: "invalid_request" });
+    function productById(products, productId) {
+      const product = products.find(p => p.id === Number(productId));
+      return product ? { product } : { error: { error: "product_not_found", product_id: productId } };
+    }
 
-      const cache = caches.default;
+    function resolveStoreFuzzy(stores, storeName) {
+      const resolved = resolveFuzzy("store", stores, storeName);
+      return resolved.error ? resolved : { store: { id: resolved.match.id, name: resolved.match.name } };
+    }
 
-      let products;
-      try {
-        products = await getCachedProducts(cache);
-      } catch {
-        return new Response("Failed to fetch products", { status: 502 });
+    // Picks a recipe by `recipe_id` or fuzzy `recipe` name.
+    function selectRecipe(recipes, { recipe, recipe_id }) {
+      if (recipe_id !== undefined && recipe_id !== null && recipe_id !== "") {
+        const found = recipes.find(r => String(r.id) === String(recipe_id));
+        if (!found) return { error: { error: "invalid_recipe_id", recipe_id } };
+        return { recipe: found };
       }
+      if (!recipe) return { error: { error: "invalid_request" } };
 
-      const resolved = resolveProductFuzzy(products, product);
-      if (resolved.error) return json(resolved.error, 400);
+      const resolved = resolveFuzzy("recipe", recipes, recipe);
+      if (resolved.error) return resolved;
+      return { recipe: recipes.find(r => r.id === resolved.match.id) };
+    }
 
-      const productId = resolved.product.id;
+    // Ingredient rows of a recipe joined with Grocy's fulfillment view, with product and
+    // unit names resolved. Grocy stores ingredient amounts in the product's stock unit;
+    // `amount`/`unit` convert back to the unit chosen in the recipe where possible.
+    async function getRecipeIngredients(cache, recipeId) {
+      const [posResp, resolvedResp] = await Promise.all([
+        fetch(`${upstreamBase}/api/objects/recipes_pos?query[]=recipe_id=${recipeId}`, { headers: upstreamJsonHeaders }),
+        fetch(`${upstreamBase}/api/objects/recipes_pos_resolved?query[]=recipe_id=${recipeId}`, { headers: upstreamJsonHeaders })
+      ]);
+      if (!posResp.ok || !resolvedResp.ok) throw new Error("Failed to fetch recipe ingredients");
 
-      const detailsResp = await fetch(`${upstreamBase}/api/stock/products/${productId}`, { headers: upstreamJsonHeaders });
-      if (!detailsResp.ok) return new Response("Failed to fetch product details", { status: 502 });
+      const positions = (await posResp.json()).filter(p => String(p.recipe_id) === String(recipeId));
+      const resolvedRows = (await resolvedResp.json()).filter(r => String(r.recipe_id) === String(recipeId));
 
-      const details = await detailsResp.json();
-      const quId = details.product?.qu_id_stock ?? details.qu_id_stock;
+      const [products, units, conversions] = await Promise.all([
+        getCachedProducts(cache),
+        getCachedQuantityUnits(cache),
+        getCachedUnitConversions(cache)
+      ]);
 
-      const addResp = await fetch(`${upstreamBase}/api/objects/products/${productId}/add`, {
-        method: "POST",
-        headers: upstreamJsonHeaders,
-        body: JSON.stringify({ amount, best_before_date, qu_id: quId })
-      });
-      if (!addResp.ok) return new Response("Failed to add stock", { status: 502 });
+      const productById = Object.fromEntries(products.map(p => [p.id, p]));
+      const unitMap = Object.fromEntries(units.map(u => [u.id, u.name]));
+      const resolvedByPos = Object.fromEntries(resolvedRows.map(r => [r.recipe_pos_id, r]));
 
-      if (typeof price === "number") {
-        // best-effort
-        fetch(`${upstreamBase}/api/objects/product_prices`, {
-          method: "POST",
-          headers: upstreamJsonHeaders,
-          body: JSON.stringify({
-            product_id: productId,
-            price,
-            store_id: details.last_shopping_location_id ?? null
-          })
-        }).catch(() => {});
-      }
+      return positions.map(pos => {
+        const product = productById[pos.product_id] ?? {};
+        const fulfillment = resolvedByPos[pos.id] ?? {};
+        const stockAmount = Number(pos.amount ?? 0);
 
-      return json({
-        status: "added",
-        product: { id: productId, name: resolved.product.name },
-        interpreted_as: {
-          amount,
-          unit: details.quantity_unit_stock?.name ?? "stock unit",
-          price: typeof price === "number" ? price : null
+        let amount = stockAmount;
+        let unitId = product.qu_id_stock;
+        if (pos.qu_id && product.qu_id_stock && pos.qu_id !== product.qu_id_stock) {
+          const found = findUnitConversion(conversions, pos.product_id, product.qu_id_stock, pos.qu_id);
+          if (found) {
+            amount = stockAmount * found.factor;
+            unitId = pos.qu_id;
+          }
         }
+
+        return {
+          product_id: pos.product_id,
+          product_name: product.name ?? "Unknown",
+          amount: roundAmount(amount),
+          unit: unitMap[unitId] ?? null,
+          stock_amount: roundAmount(stockAmount),
+          stock_unit: unitMap[product.qu_id_stock] ?? null,
+          note: pos.note || null,
+          group: pos.ingredient_group || null,
+          in_stock: roundAmount(fulfillment.stock_amount ?? 0),
+          missing_amount: roundAmount(fulfillment.missing_amount ?? 0),
+          fulfilled: Number(fulfillment.need_fulfilled) === 1
+        };
       });
     }
 
-    // ============================================================
-    // ENRICHED: Stock add bulk
-    // ============================================================
-    if (url.pathname === "/api/enriched/stock/add/bulk" && req.method === "POST") {
-      const body = await safeJson(req);
-      if (!body) return jsonError(400, { error: "invalid_json" });
+    async function getCachedMealPlanSections(cache) {
+      const data = await cachedDataset(cache, "meal_plan_sections");
+      if (!data) throw new Error("Failed to fetch meal plan sections");
+      return data;
+    }
 
-      const { items } = body;
-      if (!Array.isArray(items) || items.length === 0) return jsonError(400, { error: "invalid_request" });
+    // Meal plan rows in a date range with recipe, product, unit and section names resolved
+    async function getMealPlanEntries(cache, from, to) {
+      const resp = await fetch(
+        `${upstreamBase}/api/objects/meal_plan?query[]=day>=${from}&query[]=day<=${to}`,
+        { headers: upstreamJsonHeaders }
+      );
+      if (!resp.ok) throw new Error("Failed to fetch meal plan");
+      const rows = (await resp.json()).filter(r => r.day >= from && r.day <= to);
 
-      const MAX_ITEMS = 25;
-      const safeItems = items.slice(0, MAX_ITEMS);
+      const [recipes, products, units, sections] = await Promise.all([
+        getCachedRecipes(cache),
+        getCachedProducts(cache),
+        getCachedQuantityUnits(cache),
+        getCachedMealPlanSections(cache)
+      ]);
 
-      const cache = caches.default;
+      const recipeMap = Object.fromEntries(recipes.map(r => [r.id, r.name]));
+      const productMap = Object.fromEntries(products.map(p => [p.id, p.name]));
+      const unitMap = Object.fromEntries(units.map(u => [u.id, u.name]));
+      const sectionById = Object.fromEntries(sections.map(sec => [sec.id, sec]));
 
-      let products;
+      return rows.map(r => ({
+        entry_id: r.id,
+        day: r.day,
+        type: r.type,
+        section: sectionById[r.section_id]?.name || null,
+        section_sort: Number(sectionById[r.section_id]?.sort_number ?? 0),
+        recipe: r.type === "recipe" ? { id: r.recipe_id, name: recipeMap[r.recipe_id] ?? "Unknown" } : null,
+        servings: r.type === "recipe" ? (r.recipe_servings ?? null) : null,
+        product: r.type === "product" ? { id: r.product_id, name: productMap[r.product_id] ?? "Unknown" } : null,
+        amount: r.type === "product" ? (r.product_amount ?? null) : null,
+        unit: r.type === "product" ? (unitMap[r.product_qu_id] ?? null) : null,
+        note: r.note || null
+      }));
+    }
+
+    // Resolves an optional meal plan section name; `{ section: null }` when none was given.
+    async function resolveMealPlanSection(cache, sectionName) {
+      if (!sectionName) return { section: null };
+
+      let sections;
       try {
-        products = await getCachedProducts(cache);
+        sections = await getCachedMealPlanSections(cache);
       } catch {
-        return new Response("Failed to fetch products", { status: 502 });
+        return { error: { error: "meal_plan_sections_unavailable" }, upstream: true };
       }
+      const resolved = resolveFuzzy("section", sections, sectionName);
+      if (resolved.error) return resolved;
+      return { section: { id: resolved.match.id, name: resolved.match.name } };
+    }
 
-      const results = [];
-
-      for (const item of safeItems) {
-        const { line, product, amount, best_before_date, price } = item;
+    async function getCachedUsers(cache) {
+      const data = await cachedDataset(cache, "users");
+      if (!data) throw new Error("Failed to fetch users");
+      return data.map(u => ({ id: u.id, name: u.display_name || u.username }));
+    }
 
-        if (!product || typeof amount !== "number") {
-          results.push({ line, status: "error", error: "invalid_line" });
-          continue;
-        }
+    // Resolves an optional user name (assignee, done_by); `{ user: null }` when none was given.
+    async function resolveUserOption(cache, userName) {
+      if (!userName) return { user: null };
 
-        const resolved = resolveProductFuzzy(products, product);
-        if (resolved.error) {
-          results.push({ line, status: "error", ...resolved.error });
-          continue;
-        }
+      let users;
+      try {
+        users = await getCachedUsers(cache);
+      } catch {
+        return { error: { error: "users_unavailable" }, upstream: true };
+      }
+      const resolved = resolveFuzzy("user", users, userName);
+      if (resolved.error) return resolved;
+      return { user: { id: resolved.match.id, name: resolved.match.name } };
+    }
 
-        const productId = resolved.product.id;
+    // Whole days from today to a Grocy date or datetime (negative when past)
+    function daysUntil(dateOrDateTime) {
+      if (!dateOrDateTime) return null;
+      const day = String(dateOrDateTime).slice(0, 10);
+      if (!isIsoDate(day)) return null;
+      return Math.round(
+        (Date.parse(`${day}T00:00:00Z`) - Date.parse(`${todayIso()}T00:00:00Z`)) / (24 * 60 * 60 * 1000)
+      );
+    }
 
-        let details;
-        try {
-          const detailsResp = await fetch(`${upstreamBase}/api/stock/products/${productId}`, { headers: upstreamJsonHeaders });
-          if (!detailsResp.ok) throw new Error();
-          details = await detailsResp.json();
-        } catch {
-          results.push({ line, status: "error", error: "product_details_unavailable" });
-          continue;
-        }
+    // Last-purchase details per product (cached, parallel); products whose details
+    // cannot be fetched are simply missing from the map.
+    async function getLastPurchaseMap(cache, productIds) {
+      const lastPurchaseMap = {};
+      await Promise.all(productIds.map(async (productId) => {
+        const details = await cachedDataset(cache, "stock_product", productId);
+        if (!details) return;
 
-        const quId = details.product?.qu_id_stock ?? details.qu_id_stock;
+        lastPurchaseMap[productId] = {
+          last_price: details.last_price ?? null,
+          store_id: details.last_shopping_location_id ?? null,
+          price_qu_id: details.product?.qu_id_price ?? details.qu_id_price ?? null,
+          price_qu_name: details.quantity_unit_price?.name ?? null,
+          price_to_stock_factor: details.qu_conversion_factor_price_to_stock ?? null,
+          purchase_to_stock_factor: details.qu_conversion_factor_purchase_to_stock ?? null,
+          stock_qu_name: details.quantity_unit_stock?.name ?? null
+        };
+      }));
+      return lastPurchaseMap;
+    }
 
-        const addResp = await fetch(`${upstreamBase}/api/objects/products/${productId}/add`, {
-          method: "POST",
-          headers: upstreamJsonHeaders,
-          body: JSON.stringify({ amount, best_before_date, qu_id: quId })
+    // The one list-selection rule for every shopping list route: an explicit id must
+    // exist; otherwise a single list is used and several lists are ambiguous.
+    function selectShoppingList(lists, requestedId) {
+      if (requestedId !== undefined && requestedId !== null && requestedId !== "") {
+        const list = lists.find(l => String(l.id) === String(requestedId));
+        if (!list) return { error: { error: "invalid_shopping_list_id" } };
+        return { list };
+      }
+      if (lists.length === 1) return { list: lists[0] };
+      if (lists.length > 1) {
+        return {
+          error: {
+            error: "multiple_lists",
+            lists: lists.map(l => ({ id: l.id, name: l.name }))
+          }
+        };
+      }
+      return { error: { error: "no_shopping_list_found" } };
+    }
+
+    async function fetchShoppingListItems(listId) {
+      const resp = await fetch(
+        `${upstreamBase}/api/objects/shopping_list?query[]=shopping_list_id=${listId}`,
+        { headers: upstreamJsonHeaders }
+      );
+      if (!resp.ok) throw new Error("Failed to fetch shopping list items");
+
+      const items = await resp.json();
+      return items.filter(i => i.shopping_list_id === undefined || String(i.shopping_list_id) === String(listId));
+    }
+
+    // Finds the row for a fuzzy product name on a shopping list. Only products that are
+    // on the list are candidates, so "milk" is unambiguous when one milk is listed.
+    // `item_id` picks a row directly when a product is listed more than once.
+    async function findShoppingListItem(cache, body) {
+      const { product, item_id, shopping_list_id } = body;
+      if (!product && !item_id) return { error: { error: "invalid_request" } };
+
+      let lists;
+      try {
+        lists = await getCachedShoppingLists(cache);
+      } catch {
+        return { error: { error: "shopping_lists_unavailable" }, upstream: true };
+      }
+
+      const selected = selectShoppingList(lists, shopping_list_id);
+      if (selected.error) return selected;
+      const list = selected.list;
+
+      let items, products;
+      try {
+        [items, products] = await Promise.all([fetchShoppingListItems(list.id), getCachedProducts(cache)]);
+      } catch {
+        return { error: { error: "shopping_list_unavailable" }, upstream: true };
+      }
+
+      const productMap = Object.fromEntries(products.map(p => [p.id, p.name]));
+      const describe = (i) => ({
+        item_id: i.id,
+        product_id: i.product_id,
+        product_name: productMap[i.product_id] ?? "Unknown",
+        amount: i.amount,
+        note: i.note ?? null,
+        done: Number(i.done) === 1
+      });
+
+      if (item_id) {
+        const item = items.find(i => String(i.id) === String(item_id));
+        if (!item) return { error: { error: "item_not_on_list", item_id, list: { id: list.id, name: list.name } } };
+        return { list, item, describe };
+      }
+
+      const listedIds = new Set(items.map(i => i.product_id));
+      const resolved = resolveProductFuzzy(products.filter(p => listedIds.has(p.id)), product);
+      if (resolved.error) {
+        if (resolved.error.error === "product_not_found") {
+          return { error: { error: "item_not_on_list", product, list: { id: list.id, name: list.name } } };
+        }
+        return resolved;
+      }
+
+      const rows = items.filter(i => i.product_id === resolved.product.id);
+      if (rows.length > 1) {
+        return {
+          error: {
+            error: "multiple_items",
+            items: rows.map(describe)
+          }
+        };
+      }
+      return { list, item: rows[0], describe };
+    }
+
+    // Resolves an optional store name; `{ store: null }` when none was given.
+    async function resolveStoreOption(cache, storeName) {
+      if (!storeName) return { store: null };
+
+      let stores;
+      try {
+        stores = await getCachedStores(cache);
+      } catch {
+        return { error: { error: "stores_unavailable" }, upstream: true };
+      }
+      return resolveStoreFuzzy(stores, storeName);
+    }
+
+    // Barcodes match exactly, apart from the spaces people type into long numbers
+    function normalizeBarcode(code) {
+      return String(code ?? "").replace(/\s+/g, "");
+    }
+
+    // Resolves a barcode through Grocy's product barcodes. A barcode carries its own unit
+    // (the product's purchase unit when unset), amount per scan (1 when unset) and store.
+    // Unknown barcodes return barcode_not_found with the external lookup's suggestion.
+    // Returns { product, quId, barcode } or { error, upstream }.
+    async function resolveBarcode(cache, products, code) {
+      const barcode = normalizeBarcode(code);
+
+      let barcodes, units;
+      try {
+        [barcodes, units] = await Promise.all([getCachedProductBarcodes(cache), getCachedQuantityUnits(cache)]);
+      } catch {
+        return { error: { error: "product_barcodes_unavailable" }, upstream: true };
+      }
+
+      const row = barcodes.find(b => normalizeBarcode(b.barcode) === barcode);
+      const product = row && products.find(p => p.id === Number(row.product_id));
+      if (!product) {
+        return { error: { error: "barcode_not_found", barcode, suggestion: await lookupExternalBarcode(barcode) } };
+      }
+
+      let store = null;
+      if (row.shopping_location_id) {
+        try {
+          const found = (await getCachedStores(cache)).find(s => s.id === Number(row.shopping_location_id));
+          if (found) store = { id: found.id, name: found.name };
+        } catch {
+          return { error: { error: "stores_unavailable" }, upstream: true };
+        }
+      }
+
+      const quId = Number(row.qu_id || product.qu_id_purchase || product.qu_id_stock);
+      return {
+        product,
+        quId,
+        barcode: {
+          barcode,
+          unit: units.find(u => u.id === quId)?.name ?? null,
+          amount: Number(row.amount) || 1,
+          store,
+          note: row.note || null
+        }
+      };
+    }
+
+    // Product details from the external lookup, in Open Food Facts' response format. Best
+    // effort: null when no lookup is configured, the barcode is unknown there or it fails.
+    // Not a Grocy call: it bypasses the upstream call budget and failure tracking, and any
+    // error or timeout only means no suggestion
+    async function lookupExternalBarcode(barcode) {
+      if (!BARCODE_LOOKUP_URL || !barcode) return null;
+
+      try {
+        const lookupUrl = BARCODE_LOOKUP_URL.replace("{barcode}", encodeURIComponent(barcode));
+        const resp = await globalThis.fetch(lookupUrl, {
+          headers: { Accept: "application/json", "User-Agent": "GrocyButler/1.0" },
+          signal: AbortSignal.timeout(BARCODE_LOOKUP_TIMEOUT_MS)
         });
+        if (!resp.ok) return null;
 
-        if (!addResp.ok) {
-          results.push({ line, status: "error", error: "add_failed" });
-          continue;
+        const product = (await resp.json())?.product;
+        const name = product?.product_name || product?.generic_name;
+        if (!name) return null;
+
+        return {
+          name,
+          brand: String(product.brands || "").split(",")[0].trim() || null,
+          quantity: product.quantity || null,
+          image_url: product.image_url || null,
+          source: new URL(lookupUrl).host
+        };
+      } catch {
+        return null;
+      }
+    }
+
+    function todayIso() {
+      return new Date().toISOString().slice(0, 10);
+    }
+
+    function isIsoDate(value) {
+      if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+      const date = new Date(`${value}T00:00:00Z`);
+      return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    }
+
+    function addDays(isoDate, days) {
+      const date = new Date(`${isoDate}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() + days);
+      return date.toISOString().slice(0, 10);
+    }
+
+    // Cursors are opaque to clients; today they just wrap the offset.
+    function encodeCursor(offset) {
+      return btoa(JSON.stringify({ o: offset }));
+    }
+
+    function decodeCursor(cursor) {
+      try {
+        const { o } = JSON.parse(atob(cursor));
+        return Number.isInteger(o) && o >= 0 ? o : null;
+      } catch {
+        return null;
+      }
+    }
+
+    // Reads limit / cursor / offset / sort / order from the query string.
+    // `limit` is clamped to `maxLimit` so the hard per-page cap always holds.
+    function readListParams(searchParams, { defaultLimit, maxLimit, sorts, defaultOrder = "asc" }) {
+      const limitParam = searchParams.get("limit");
+      const limit = Math.min(Math.max(Math.floor(Number(limitParam)) || defaultLimit, 1), maxLimit);
+
+      let offset = 0;
+      const cursor = searchParams.get("cursor");
+      const offsetParam = searchParams.get("offset");
+      if (cursor) {
+        offset = decodeCursor(cursor);
+        if (offset === null) return { error: { error: "invalid_cursor" } };
+      } else if (offsetParam !== null) {
+        offset = Number(offsetParam);
+        if (!Number.isInteger(offset) || offset < 0) return { error: { error: "invalid_offset" } };
+      }
+
+      const sort = searchParams.get("sort") || sorts[0];
+      if (!sorts.includes(sort)) return { error: { error: "invalid_sort", sort, allowed: sorts } };
+
+      const order = searchParams.get("order") || defaultOrder;
+      if (order !== "asc" && order !== "desc") {
+        return { error: { error: "invalid_order", order, allowed: ["asc", "desc"] } };
+      }
+
+      return { limit, offset, sort, order };
+    }
+
+    function paginate(rows, { limit, offset }) {
+      const items = rows.slice(offset, offset + limit);
+      const nextOffset = offset + items.length;
+      return {
+        items,
+        total: rows.length,
+        limit,
+        next_cursor: nextOffset < rows.length ? encodeCursor(nextOffset) : null
+      };
+    }
+
+    // Compares by the chosen key, keeping missing values last and ties stable by name then
+    // `idKey`, the row's own id field (stock_id, product_id, ...)
+    function makeComparator(key, order, idKey = "id") {
+      const direction = order === "desc" ? -1 : 1;
+      return (a, b) => {
+        const x = a[key];
+        const y = b[key];
+        if (x != null && y == null) return -1;
+        if (x == null && y != null) return 1;
+
+        let cmp = 0;
+        if (x != null && y != null) {
+          cmp = typeof x === "number" && typeof y === "number"
+            ? x - y
+            : String(x).localeCompare(String(y));
         }
+        if (cmp !== 0) return cmp * direction;
+        const nameOf = (row) => String(row.product_name ?? row.name ?? "");
+        return nameOf(a).localeCompare(nameOf(b)) || (a[idKey] ?? 0) - (b[idKey] ?? 0);
+      };
+    }
 
-        if (typeof price === "number") {
-          fetch(`${upstreamBase}/api/objects/product_prices`, {
-            method: "POST",
-            headers: upstreamJsonHeaders,
-            body: JSON.stringify({
-              product_id: productId,
-              price,
-              store_id: details.last_shopping_location_id ?? null
-            })
-          }).catch(() => {});
+    // Builds a product predicate from the `q` and `product_group` query parameters
+    // shared by the list routes. Returns { matches } or { error, upstream }.
+    async function buildProductFilter(cache, searchParams, products) {
+      const productById = Object.fromEntries(products.map(p => [p.id, p]));
+      const checks = [];
+
+      const q = searchParams.get("q");
+      if (q && q.trim()) {
+        const matchingIds = new Set(rankByName(products.filter(p => p.name), q, productAliases).map(m => m.id));
+        checks.push(productId => matchingIds.has(productId));
+      }
+
+      const groupName = searchParams.get("product_group");
+      if (groupName) {
+        let groups;
+        try {
+          groups = await getCachedProductGroups(cache);
+        } catch {
+          return { error: { error: "product_groups_unavailable" }, upstream: true };
         }
+        const group = groups.find(g => normalize(g.name) === normalize(groupName));
+        if (!group) return { error: { error: "invalid_product_group", product_group: groupName } };
+        checks.push(productId => productById[productId]?.product_group_id === group.id);
+      }
 
-        results.push({
-          line,
-          status: "added",
+      return { matches: productId => checks.every(check => check(productId)) };
+    }
+
+    // Avoids float noise such as 0.30000000000000004 in reported amounts.
+    function roundAmount(value) {
+      return Math.round(Number(value) * 10000) / 10000;
+    }
+
+    // Grocy answers add/consume with the stock_log rows it wrote; they share one transaction id
+    async function readTransactionId(bookingResp) {
+      const rows = await bookingResp.json().catch(() => null);
+      const first = Array.isArray(rows) ? rows[0] : rows;
+      return first?.transaction_id ?? null;
+    }
+
+    function batchCacheKey(batchId) {
+      return new Request(`https://cache.local/${CACHE_VERSION}/stock-batches/${encodeURIComponent(batchId)}`);
+    }
+
+    // Remembers the transactions booked by a bulk request so they can be undone together.
+    // Returns the batch id, or null when nothing was booked.
+    async function rememberBatch(kind, results) {
+      const transactions = results
+        .filter(r => r.transaction_id)
+        .map(r => ({ line: r.line ?? null, transaction_id: r.transaction_id }));
+      if (transactions.length === 0) return null;
+
+      const batchId = crypto.randomUUID();
+      await caches.default.put(
+        batchCacheKey(batchId),
+        json({ kind, transactions }, 200, { "Cache-Control": `max-age=${UNDO_BATCH_TTL}` })
+      );
+      return batchId;
+    }
+
+    // Reverts one stock transaction. Same return contract as consumeStockLine.
+    async function undoStockTransaction(cache, transactionId) {
+      const logResp = await fetch(
+        `${upstreamBase}/api/objects/stock_log?query[]=${encodeURIComponent(`transaction_id=${transactionId}`)}`,
+        { headers: upstreamJsonHeaders }
+      );
+      if (!logResp.ok) return { error: { error: "stock_log_unavailable" }, upstream: true };
+
+      const entries = (await logResp.json()).filter(e => e.transaction_id === transactionId);
+      if (entries.length === 0) return { error: { error: "transaction_not_found", transaction_id: transactionId } };
+
+      let products, units;
+      try {
+        [products, units] = await Promise.all([getCachedProducts(cache), getCachedQuantityUnits(cache)]);
+      } catch {
+        return { error: { error: "products_unavailable" }, upstream: true };
+      }
+
+      const first = entries[0];
+      const product = products.find(p => p.id === first.product_id);
+      const productRef = { id: first.product_id, name: product?.name ?? "Unknown" };
+      const unit = units.find(u => u.id === product?.qu_id_stock)?.name ?? null;
+      const amount = roundAmount(Math.abs(entries.reduce((sum, e) => sum + Number(e.amount || 0), 0)));
+
+      if (entries.every(e => Number(e.undone) === 1)) {
+        return { error: { error: "already_undone", transaction_id: transactionId, product: productRef } };
+      }
+
+      const undoResp = await fetch(`${upstreamBase}/api/stock/transactions/${encodeURIComponent(transactionId)}/undo`, {
+        method: "POST",
+        headers: upstreamJsonHeaders
+      });
+      if (!undoResp.ok) return { error: { error: "undo_failed", transaction_id: transactionId }, upstream: true };
+
+      return {
+        result: {
+          transaction_id: transactionId,
+          transaction_type: first.transaction_type ?? null,
+          product: productRef,
+          amount,
+          unit
+        }
+      };
+    }
+
+    // Resolves and books a single stock add line, converting `unit` to the stock unit.
+    // `product_id` replaces the fuzzy `product` name when the product is already known
+    // (barcode routes). `booking` carries the already-resolved store and purchase date shared by a request;
+    // with `booking.dry_run` everything is resolved but nothing is written.
+    // Same return contract as consumeStockLine.
+    async function addStockLine(cache, products, item, booking = {}) {
+      const { product, product_id, amount, unit, qu_id, price, best_before_date } = item;
+      const store = booking.store ?? null;
+      const purchasedAt = booking.purchased_at ?? null;
+
+      if ((!product && product_id == null) || typeof amount !== "number") {
+        return { error: { error: "invalid_request" } };
+      }
+
+      const resolved = product_id != null ? productById(products, product_id) : resolveProductFuzzy(products, product);
+      if (resolved.error) return { error: resolved.error };
+
+      const productId = resolved.product.id;
+
+      let details;
+      try {
+        const detailsResp = await fetch(`${upstreamBase}/api/stock/products/${productId}`, { headers: upstreamJsonHeaders });
+        if (!detailsResp.ok) throw new Error();
+        details = await detailsResp.json();
+      } catch {
+        return { error: { error: "product_details_unavailable" }, upstream: true };
+      }
+
+      const stockQuId = details.product?.qu_id_stock ?? details.qu_id_stock;
+      const stockUnitName = details.quantity_unit_stock?.name ?? "stock unit";
+
+      let stockAmount = amount;
+      let stockFactor = 1;
+      let conversion = null;
+
+      // `qu_id` is a unit id the caller already resolved (e.g. from a barcode); `unit` is a name
+      if (unit || qu_id != null) {
+        let units, conversions;
+        try {
+          [units, conversions] = await Promise.all([
+            getCachedQuantityUnits(cache),
+            getCachedUnitConversions(cache)
+          ]);
+        } catch {
+          return { error: { error: "quantity_units_unavailable" }, upstream: true };
+        }
+
+        const givenUnit = qu_id != null ? units.find(u => u.id === Number(qu_id)) : resolveQuantityUnit(units, unit);
+        if (!givenUnit) return { error: { error: "invalid_quantity_unit", unit: unit ?? qu_id } };
+
+        const found = findUnitConversion(conversions, productId, givenUnit.id, stockQuId);
+        if (!found) {
+          return {
+            error: {
+              error: "unit_not_convertible",
+              product: { id: productId, name: resolved.product.name },
+              unit: givenUnit.name,
+              stock_unit: stockUnitName
+            }
+          };
+        }
+
+        stockFactor = found.factor;
+        stockAmount = roundAmount(amount * found.factor);
+        conversion = {
+          amount,
+          unit: givenUnit.name,
+          factor: roundAmount(found.factor),
+          stock_amount: stockAmount,
+          stock_unit: stockUnitName
+        };
+      }
+
+      // Grocy records prices per stock unit; `price` is per the unit the amount was given in
+      const hasPrice = typeof price === "number";
+      const stockUnitPrice = hasPrice ? roundAmount(price / stockFactor) : null;
+
+      // Price, store and purchase date go on the booking itself so Grocy attributes
+      // the price to the right store instead of whichever one was used last.
+      let transactionId = null;
+      if (!booking.dry_run) {
+        const addResp = await fetch(`${upstreamBase}/api/stock/products/${productId}/add`, {
+          method: "POST",
+          headers: upstreamJsonHeaders,
+          body: JSON.stringify({
+            amount: stockAmount,
+            best_before_date,
+            transaction_type: "purchase",
+            ...(hasPrice ? { price: stockUnitPrice } : {}),
+            ...(store ? { shopping_location_id: store.id } : {}),
+            ...(purchasedAt ? { purchased_date: purchasedAt } : {})
+          })
+        });
+        if (!addResp.ok) return { error: { error: "add_failed" }, upstream: true };
+        transactionId = await readTransactionId(addResp);
+      }
+
+      return {
+        result: {
           product: { id: productId, name: resolved.product.name },
+          transaction_id: transactionId,
           interpreted_as: {
-            amount,
-            unit: details.quantity_unit_stock?.name ?? "stock unit",
-            price: typeof price === "number" ? price : null
+            amount: stockAmount,
+            unit: stockUnitName,
+            price: hasPrice ? price : null,
+            price_per_stock_unit: stockUnitPrice,
+            store,
+            purchased_at: purchasedAt,
+            conversion
           }
-        });
+        }
+      };
+    }
+
+    // Resolves and books a single consume line (by `product` name or known `product_id`).
+    // Returns { result } on success, or { error, upstream } where `upstream`
+    // marks failures caused by Grocy rather than by the request itself.
+    async function consumeStockLine(cache, products, item) {
+      const { product, product_id, amount, consume_all, spoiled, location } = item;
+      const consumeAll = consume_all === true;
+
+      if ((!product && product_id == null) || (!consumeAll && (typeof amount !== "number" || amount <= 0))) {
+        return { error: { error: "invalid_request" } };
       }
 
-      return json({
-        status: "completed",
-        summary: {
-          total: safeItems.length,
-          added: results.filter(r => r.status === "added").length,
-          errors: results.filter(r => r.status === "error").length
-        },
-        results
+      const resolved = product_id != null ? productById(products, product_id) : resolveProductFuzzy(products, product);
+      if (resolved.error) return { error: resolved.error };
+
+      const productId = resolved.product.id;
+      const productRef = { id: productId, name: resolved.product.name };
+
+      let selectedLocation = null;
+      if (location) {
+        let locations;
+        try {
+          locations = await getCachedLocations(cache);
+        } catch {
+          return { error: { error: "locations_unavailable" }, upstream: true };
+        }
+        selectedLocation = locations.find(l => normalize(l.name) === normalize(location));
+        if (!selectedLocation) return { error: { error: "invalid_location", location } };
+      }
+
+      let details;
+      try {
+        const detailsResp = await fetch(`${upstreamBase}/api/stock/products/${productId}`, { headers: upstreamJsonHeaders });
+        if (!detailsResp.ok) throw new Error();
+        details = await detailsResp.json();
+      } catch {
+        return { error: { error: "product_details_unavailable" }, upstream: true };
+      }
+
+      const unit = details.quantity_unit_stock?.name ?? "stock unit";
+      const inStock = Number(details.stock_amount ?? 0);
+
+      // Stock at a single location is only available from the per-location breakdown
+      let available = inStock;
+      if (selectedLocation) {
+        try {
+          const locResp = await fetch(`${upstreamBase}/api/stock/products/${productId}/locations`, { headers: upstreamJsonHeaders });
+          if (!locResp.ok) throw new Error();
+          const rows = await locResp.json();
+          available = rows
+            .filter(r => r.location_id === selectedLocation.id)
+            .reduce((sum, r) => sum + Number(r.amount || 0), 0);
+        } catch {
+          return { error: { error: "product_details_unavailable" }, upstream: true };
+        }
+      }
+
+      if (available <= 0) {
+        return {
+          error: {
+            error: "not_in_stock",
+            product: productRef,
+            location: selectedLocation?.name ?? null
+          }
+        };
+      }
+
+      const consumeAmount = consumeAll ? available : amount;
+      if (consumeAmount > available) {
+        return {
+          error: {
+            error: "insufficient_stock",
+            product: productRef,
+            requested: consumeAmount,
+            available: roundAmount(available),
+            unit,
+            location: selectedLocation?.name ?? null
+          }
+        };
+      }
+
+      const consumeResp = await fetch(`${upstreamBase}/api/stock/products/${productId}/consume`, {
+        method: "POST",
+        headers: upstreamJsonHeaders,
+        body: JSON.stringify({
+          amount: consumeAmount,
+          transaction_type: "consume",
+          spoiled: spoiled === true,
+          ...(selectedLocation ? { location_id: selectedLocation.id } : {})
+        })
       });
+      if (!consumeResp.ok) return { error: { error: "consume_failed" }, upstream: true };
+
+      return {
+        result: {
+          product: productRef,
+          transaction_id: await readTransactionId(consumeResp),
+          interpreted_as: {
+            amount: roundAmount(consumeAmount),
+            unit,
+            consume_all: consumeAll,
+            spoiled: spoiled === true,
+            location: selectedLocation?.name ?? null
+          },
+          remaining: {
+            amount: roundAmount(Math.max(0, inStock - consumeAmount)),
+            unit
+          }
+        }
+      };
     }
 
+    // Route handlers by the route table's operationId
+    const HANDLERS = {
+      getStock: handleGetStock,
+      getStockSummary: handleGetStockSummary,
+      getExpiringStock: handleGetExpiringStock,
+      addStock: handleAddStock,
+      addStockBulk: handleAddStockBulk,
+      addStockByBarcode: handleAddStockByBarcode,
+      consumeStock: handleConsumeStock,
+      consumeStockBulk: handleConsumeStockBulk,
+      consumeStockByBarcode: handleConsumeStockByBarcode,
+      undoStock: handleUndoStock,
+      getShoppingList: handleGetShoppingList,
+      addToShoppingList: handleAddToShoppingList,
+      addToShoppingListBulk: handleAddToShoppingListBulk,
+      restockShoppingList: handleRestockShoppingList,
+      updateShoppingListItem: handleUpdateShoppingListItem,
+      markShoppingListItemDone: handleMarkShoppingListItemDone,
+      removeShoppingListItem: handleRemoveShoppingListItem,
+      clearShoppingList: handleClearShoppingList,
+      searchRecipes: handleSearchRecipes,
+      getCookableRecipes: handleGetCookableRecipes,
+      getRecipeDetail: handleGetRecipeDetail,
+      addMissingRecipeIngredients: handleAddMissingRecipeIngredients,
+      getMealPlan: handleGetMealPlan,
+      addMealPlanEntry: handleAddMealPlanEntry,
+      removeMealPlanEntry: handleRemoveMealPlanEntry,
+      getDueChores: handleGetDueChores,
+      trackChore: handleTrackChore,
+      getOpenTasks: handleGetOpenTasks,
+      addTask: handleAddTask,
+      completeTask: handleCompleteTask,
+      getAuditLog: handleGetAuditLog,
+      purgeCache: handlePurgeCache,
+      searchProducts: handleSearchProducts,
+      getProductByBarcode: handleGetProductByBarcode,
+      createProduct: handleCreateProduct
+    };
+
     // ============================================================
-    // Pass-through for other /api/* routes
+    // Scope check (after auth; before replay so stored responses are not a way around it)
     // ============================================================
-    if (!url.pathname.startsWith("/api/")) {
-      return new Response("Not found", { status: 404 });
+    const requiredScope = scopeForRoute(req.method, url.pathname);
+    if (!client.scopes.includes("*") && !client.scopes.includes(requiredScope)) {
+      return jsonError(403, { error: "insufficient_scope", required_scope: requiredScope, client: client.name });
     }
 
-    const body = req.method === "GET" || req.method === "HEAD" ? undefined : await req.text();
+    // Replays the stored response for a repeated Idempotency-Key, or runs the route and stores it.
+    // Returns { response, replayed }; a replay wrote nothing, so it is neither logged nor
+    // allowed to invalidate cached data.
+    async function runIdempotent(idempotencyKey, bodyText, runRoute) {
+      const fresh = response => ({ response, replayed: false });
+      if (!idempotencyKey || idempotencyKey.length > 255) {
+        return fresh(jsonError(400, { error: "invalid_idempotency_key" }));
+      }
+
+      const cache = caches.default;
+      // Scoped to the client so keys never collide across clients and survive token rotation
+      const keyScope = await sha256Hex(`${client.name}\n${idempotencyKey}`);
+      const cacheKey = new Request(`https://cache.local/${CACHE_VERSION}/idempotency/${keyScope}`);
+      const fingerprint = await sha256Hex(`${url.pathname}\n${bodyText}`);
 
-    // IMPORTANT: preserve query string
-    const upstreamUrl = upstreamBase + url.pathname + url.search;
+      const stored = await cache.match(cacheKey);
+      if (stored) {
+        const record = await stored.json();
+        if (record.fingerprint !== fingerprint) {
+          return fresh(jsonError(409, { error: "idempotency_key_conflict", idempotency_key: idempotencyKey }));
+        }
+        if (record.in_progress) {
+          return fresh(jsonError(409, { error: "idempotency_key_in_progress", idempotency_key: idempotencyKey }));
+        }
+        return {
+          response: new Response(record.body, {
+            status: record.status,
+            headers: {
+              ...BASE_JSON_HEADERS,
+              ...cacheStatusHeader(),
+              "Content-Type": record.content_type,
+              "Idempotent-Replayed": "true"
+            }
+          }),
+          replayed: true
+        };
+      }
 
-    const upstreamReq = new Request(upstreamUrl, {
-      method: req.method,
-      body,
-      headers: upstreamJsonHeaders,
-      redirect: "manual"
-    });
+      const storeRecord = (record, ttlSeconds) =>
+        cache.put(cacheKey, json(record, 200, { "Cache-Control": `max-age=${ttlSeconds}` }));
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 8000);
+      // Claim the key first so a retry racing the original request does not run it twice
+      await storeRecord({ fingerprint, in_progress: true }, Math.min(60, IDEMPOTENCY_TTL));
 
-    let resp;
-    try {
-      resp = await fetch(upstreamReq, { signal: controller.signal });
-    } finally {
-      clearTimeout(timeout);
+      let response;
+      try {
+        response = await runRoute();
+      } catch (err) {
+        await cache.delete(cacheKey);
+        throw err;
+      }
+
+      // Upstream failures are not final; let the client retry them
+      if (response.status >= 500) {
+        await cache.delete(cacheKey);
+        return fresh(response);
+      }
+
+      await storeRecord(
+        {
+          fingerprint,
+          status: response.status,
+          content_type: response.headers.get("Content-Type") || "application/json",
+          body: await response.clone().text()
+        },
+        IDEMPOTENCY_TTL
+      );
+      return fresh(response);
     }
 
-    const ct = resp.headers.get("content-type") || "";
-    if (resp.status === 302 || (ct.includes("text/html") && !ct.includes("application/json"))) {
-      return new Response("Access Authentication failed", { status: 502 });
+    // Dry runs (`dry_run: true`) and previews (restock without `confirm`) answer a write route
+    // without writing anything to Grocy
+    async function isPreview(bodyText, response) {
+      if (readFlag(parseJsonObject(bodyText), "dry_run") === true) return true;
+      if (!(response.headers.get("Content-Type") || "").includes("application/json")) return false;
+      const output = await response.json().catch(() => null);
+      return output?.status === "preview";
     }
 
-    return resp;
-  }
-};
+    // Collects the entities a write resolved to (products, lists, stores, ...) and the
+    // Grocy transaction ids from an enriched response body, for the audit log.
+    function collectAuditRefs(value) {
+      const REF_KEYS = ["product", "list", "store", "location", "recipe", "chore", "task", "section"];
+      const resolved = {};
+      const transactionIds = new Set();
+
+      const addRef = (kind, ref) => {
+        resolved[kind] ??= [];
+        if (!resolved[kind].some(r => r.id === ref.id)) resolved[kind].push({ id: ref.id, name: ref.name });
+      };
+
+      const walk = (node, depth) => {
+        if (!node || typeof node !== "object" || depth > 6) return;
+        if (Array.isArray(node)) {
+          node.forEach(child => walk(child, depth + 1));
+          return;
+        }
+        if (node.product_id != null && typeof node.product_name === "string") {
+          addRef("product", { id: node.product_id, name: node.product_name });
+        }
+        for (const [key, child] of Object.entries(node)) {
+          if (key === "transaction_id" && typeof child === "string") transactionIds.add(child);
+          else if (REF_KEYS.includes(key) && child && child.id != null && typeof child.name === "string") addRef(key, child);
+          else walk(child, depth + 1);
+        }
+      };
+
+      walk(value, 0);
+      return { resolved, transaction_ids: [...transactionIds] };
+    }
+
+    // Stores one write in the AUDIT_LOG KV namespace. Keys sort newest first; the metadata
+    // carries what the audit route filters on so listing does not read every value.
+    async function recordAudit(bodyText, response, idempotencyKey) {
+      try {
+        let input;
+        try {
+          input = JSON.parse(bodyText);
+        } catch {
+          input = bodyText || null;
+        }
+        if (bodyText.length > AUDIT_MAX_INPUT_CHARS) {
+          input = { truncated: true, preview: bodyText.slice(0, AUDIT_MAX_INPUT_CHARS) };
+        }
+
+        let output = null;
+        if ((response.headers.get("Content-Type") || "").includes("application/json")) {
+          output = await response.json().catch(() => null);
+        }
+
+        const refs = collectAuditRefs(output);
+        const id = crypto.randomUUID();
+        const at = new Date().toISOString();
+        const entry = {
+          id,
+          request_id: requestId,
+          at,
+          client: client.name,
+          method: req.method,
+          route: url.pathname,
+          status: response.status,
+          idempotency_key: idempotencyKey,
+          input,
+          resolved: refs.resolved,
+          transaction_ids: refs.transaction_ids,
+          batch_id: output?.batch_id ?? null,
+          error: typeof output?.error === "string" ? output.error : null
+        };
+
+        const newestFirst = String(9999999999999 - Date.now()).padStart(13, "0");
+        await env.AUDIT_LOG.put(`audit:${newestFirst}:${id}`, JSON.stringify(entry), {
+          expirationTtl: AUDIT_TTL,
+          metadata: {
+            at,
+            client: client.name,
+            route: url.pathname,
+            status: response.status,
+            products: (refs.resolved.product ?? []).map(p => p.name).join("|").slice(0, 500)
+          }
+        });
+      } catch (err) {
+        // Never fail a write because it could not be logged
+        console.log("Audit log write failed:", err);
+      }
+    }
+
+    // Fixed per-minute windows counted in the Cache API, per client and budget. Counts are
+    // per data centre and parallel bursts can slip slightly over; it is a brake, not a meter.
+    // Returns null when the request may proceed.
+    async function checkRateLimit(budget) {
+      const limit = Number(client.rate_limits?.[budget] ?? RATE_LIMITS[budget]);
+      if (!(limit > 0)) return null;
+
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const windowStart = nowSeconds - (nowSeconds % RATE_LIMIT_WINDOW_SECONDS);
+      const retryAfter = windowStart + RATE_LIMIT_WINDOW_SECONDS - nowSeconds;
+
+      const cache = caches.default;
+      const cacheKey = new Request(
+        `https://cache.local/${CACHE_VERSION}/rate-limit/${encodeURIComponent(client.name)}/${budget}/${windowStart}`
+      );
+      const counted = await cache.match(cacheKey);
+      const count = counted ? Number(await counted.text()) || 0 : 0;
+      if (count >= limit) return { budget, limit, retryAfter };
+
+      await cache.put(cacheKey, new Response(String(count + 1), {
+        headers: { "Cache-Control": `max-age=${retryAfter + 1}` }
+      }));
+      return null;
+    }
+
+    // ============================================================
+    // Rate limits
+    // ============================================================
+    const budget = !url.pathname.startsWith("/api/enriched/")
+      ? "passthrough"
+      : (req.method === "POST" ? "write" : "read");
+
+    const limited = await checkRateLimit(budget);
+    if (limited) {
+      return jsonError(
+        429,
+        {
+          error: "rate_limited",
+          budget: limited.budget,
+          limit: limited.limit,
+          window_seconds: RATE_LIMIT_WINDOW_SECONDS,
+          retry_after_seconds: limited.retryAfter
+        },
+        { "Retry-After": String(limited.retryAfter) }
+      );
+    }
+
+    // ============================================================
+    // Write pipeline for POST routes: Idempotency-Key replay, then cache invalidation and
+    // audit log, each once per request
+    // ============================================================
+    if (req.method === "POST") {
+      const bodyText = await req.clone().text();
+
+      const idempotencyKey = req.headers.get("Idempotency-Key");
+      const { response, replayed } = idempotencyKey !== null && url.pathname.startsWith("/api/enriched/")
+        ? await runIdempotent(idempotencyKey, bodyText, dispatch)
+        : { response: await dispatch(), replayed: false };
+
+      // A replay or a preview changed nothing: the cache is still current and only real
+      // writes are logged
+      const changedNothing = replayed || await isPreview(bodyText, response.clone());
+      if (response.status < 400 && !changedNothing) {
+        await invalidateAfterWrite(response.clone());
+      }
+
+      if (env.AUDIT_LOG && !changedNothing) {
+        const logged = recordAudit(bodyText, response.clone(), idempotencyKey);
+        if (ctx?.waitUntil) ctx.waitUntil(logged);
+        else await logged;
+      }
+      return response;
+    }
+
+    return dispatch();
+
+    // ============================================================
+    // Route dispatch: enriched routes from the route table, anything else to the
+    // pass-through (handlers below are hoisted function declarations)
+    // ============================================================
+    async function dispatch() {
+      const route = findRoute(req.method, url.pathname);
+      if (!route) return passThrough();
+
+      try {
+        const invalid = await validateRequest(route);
+        return invalid ?? await HANDLERS[route.doc.operationId]();
+      } catch (err) {
+        return unexpectedError(err);
+      }
+    }
+
+    // ============================================================
+    // ENRICHED: Add item to shopping list
+    // ============================================================
+    async function handleAddToShoppingList() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { product, amount, note, shopping_list_id } = body;
+      const dryRun = readFlag(body, "dry_run");
+      if (!product || typeof amount !== "number" || dryRun === undefined) {
+        return jsonError(400, { error: "invalid_request" });
+      }
+
+      const cache = caches.default;
+
+      // Resolve list
+      let lists;
+      try {
+        lists = await getCachedShoppingLists(cache);
+      } catch {
+        return upstreamError({ error: "shopping_lists_unavailable", message: "Failed to fetch shopping lists" });
+      }
+
+      const selected = selectShoppingList(lists, shopping_list_id);
+      if (selected.error) return jsonError(400, selected.error);
+      const selectedList = selected.list;
+
+      // Resolve product
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+
+      const resolved = resolveProductFuzzy(products, product);
+      if (resolved.error) return jsonError(400, resolved.error);
+
+      const productId = resolved.product.id;
+
+      // Add item
+      if (!dryRun) {
+        const addResp = await fetch(`${upstreamBase}/api/stock/shoppinglist/add-product`, {
+          method: "POST",
+          headers: upstreamJsonHeaders,
+          body: JSON.stringify({
+            product_id: productId,
+            product_amount: amount,
+            note,
+            list_id: selectedList.id
+          })
+        });
+
+        if (!addResp.ok) return upstreamError({ error: "add_failed", message: "Failed to add item" });
+      }
+
+      return json({
+        status: dryRun ? "would_add" : "added",
+        dry_run: dryRun,
+        list: { id: selectedList.id, name: selectedList.name },
+        item: {
+          product_id: productId,
+          product_name: resolved.product.name,
+          amount,
+          note: note ?? null
+        }
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Add items to shopping list in bulk
+    // ============================================================
+    async function handleAddToShoppingListBulk() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { items, shopping_list_id } = body;
+      const dryRun = readFlag(body, "dry_run");
+      if (!Array.isArray(items) || items.length === 0 || dryRun === undefined) {
+        return jsonError(400, { error: "invalid_request" });
+      }
+
+      const MAX_ITEMS = 25;
+      const safeItems = items.slice(0, MAX_ITEMS);
+
+      const cache = caches.default;
+
+      // The list is resolved once; an ambiguous list stops the whole request
+      let lists;
+      try {
+        lists = await getCachedShoppingLists(cache);
+      } catch {
+        return upstreamError({ error: "shopping_lists_unavailable", message: "Failed to fetch shopping lists" });
+      }
+
+      const selected = selectShoppingList(lists, shopping_list_id);
+      if (selected.error) return jsonError(400, selected.error);
+      const selectedList = selected.list;
+
+      let products, listed;
+      try {
+        [products, listed] = await Promise.all([
+          getCachedProducts(cache),
+          fetchShoppingListItems(selectedList.id)
+        ]);
+      } catch {
+        return upstreamError({ error: "grocy_data_unavailable", message: "Failed to fetch products or shopping list items" });
+      }
+
+      // product_id -> existing open row, so repeated products update one row instead of adding
+      // another; checked-off rows are left alone and the product gets a new row
+      const rowByProduct = new Map();
+      for (const row of listed) {
+        if (Number(row.done) === 1) continue;
+        if (!rowByProduct.has(row.product_id)) rowByProduct.set(row.product_id, row);
+      }
+
+      const results = [];
+      const addedStatus = dryRun ? "would_add" : "added";
+      const mergedStatus = dryRun ? "would_merge" : "merged";
+
+      for (const item of safeItems) {
+        const { line, product, amount, note } = item ?? {};
+
+        const invalid = lineProblems(item);
+        if (invalid.length > 0) {
+          results.push({ line, status: "error", error: "invalid_line", errors: invalid });
+          continue;
+        }
+
+        if (upstreamCallsLeft() <= 0) {
+          results.push({ line, status: "error", error: "upstream_call_limit_exceeded" });
+          continue;
+        }
+
+        const resolved = resolveProductFuzzy(products, product);
+        if (resolved.error) {
+          results.push({ line, status: "error", ...resolved.error });
+          continue;
+        }
+
+        const productId = resolved.product.id;
+        const existing = rowByProduct.get(productId);
+
+        if (existing) {
+          const mergedAmount = roundAmount(Number(existing.amount || 0) + amount);
+          const mergedNote = note
+            ? (existing.note ? `${existing.note}; ${note}` : note)
+            : (existing.note ?? null);
+
+          if (!dryRun) {
+            const updateResp = await fetch(`${upstreamBase}/api/objects/shopping_list/${existing.id}`, {
+              method: "PUT",
+              headers: upstreamJsonHeaders,
+              body: JSON.stringify({ amount: mergedAmount, note: mergedNote })
+            });
+            if (!updateResp.ok) {
+              results.push({ line, status: "error", error: "update_failed" });
+              continue;
+            }
+          }
+
+          existing.amount = mergedAmount;
+          existing.note = mergedNote;
+          results.push({
+            line,
+            status: mergedStatus,
+            item: {
+              item_id: existing.id,
+              product_id: productId,
+              product_name: resolved.product.name,
+              amount: mergedAmount,
+              added_amount: amount,
+              note: mergedNote
+            }
+          });
+          continue;
+        }
+
+        // Created as an object rather than via add-product, which would merge into any row for
+        // the product, checked-off ones included. Later lines for the product merge into it
+        // (a pretend row on dry runs).
+        const row = { id: null, product_id: productId, amount, note: note ?? null };
+        if (!dryRun) {
+          const full = products.find(p => p.id === productId) ?? {};
+          const addResp = await fetch(`${upstreamBase}/api/objects/shopping_list`, {
+            method: "POST",
+            headers: upstreamJsonHeaders,
+            body: JSON.stringify({
+              shopping_list_id: selectedList.id,
+              product_id: productId,
+              amount,
+              qu_id: full.qu_id_purchase ?? full.qu_id_stock ?? null,
+              note: note ?? null
+            })
+          });
+          if (!addResp.ok) {
+            results.push({ line, status: "error", error: "add_failed" });
+            continue;
+          }
+          row.id = (await addResp.json().catch(() => ({}))).created_object_id ?? null;
+        }
+        if (dryRun || row.id !== null) rowByProduct.set(productId, row);
+
+        results.push({
+          line,
+          status: addedStatus,
+          item: {
+            item_id: row.id,
+            product_id: productId,
+            product_name: resolved.product.name,
+            amount,
+            note: note ?? null
+          }
+        });
+      }
+
+      return json({
+        status: dryRun ? "preview" : "completed",
+        dry_run: dryRun,
+        list: { id: selectedList.id, name: selectedList.name },
+        summary: {
+          total: safeItems.length,
+          added: results.filter(r => r.status === "added").length,
+          merged: results.filter(r => r.status === "merged").length,
+          would_add: results.filter(r => r.status === "would_add").length,
+          would_merge: results.filter(r => r.status === "would_merge").length,
+          errors: results.filter(r => r.status === "error").length
+        },
+        results
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Restock (below-minimum products -> shopping list)
+    // ============================================================
+    async function handleRestockShoppingList() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const confirm = body.confirm === undefined ? false : body.confirm;
+      if (typeof confirm !== "boolean") return jsonError(400, { error: "invalid_request" });
+
+      const cache = caches.default;
+
+      let lists;
+      try {
+        lists = await getCachedShoppingLists(cache);
+      } catch {
+        return upstreamError({ error: "shopping_lists_unavailable", message: "Failed to fetch shopping lists" });
+      }
+
+      const selected = selectShoppingList(lists, body.shopping_list_id);
+      if (selected.error) return jsonError(400, selected.error);
+      const selectedList = selected.list;
+
+      const volatileResp = await fetch(`${upstreamBase}/api/stock/volatile`, { headers: upstreamJsonHeaders });
+      if (!volatileResp.ok) return upstreamError({ error: "stock_unavailable", message: "Failed to fetch stock" });
+      const missing = (await volatileResp.json()).missing_products ?? [];
+
+      let products, listed, stores;
+      try {
+        [products, listed, stores] = await Promise.all([
+          getCachedProducts(cache),
+          fetchShoppingListItems(selectedList.id),
+          getCachedStores(cache)
+        ]);
+      } catch {
+        return upstreamError({ error: "grocy_data_unavailable", message: "Failed to fetch products, stores or shopping list items" });
+      }
+
+      const productById = Object.fromEntries(products.map(p => [p.id, p]));
+      const storeMap = Object.fromEntries(stores.map(s => [s.id, s.name]));
+
+      const listedAmount = {};
+      for (const row of listed) {
+        if (Number(row.done) === 1) continue;
+        listedAmount[row.product_id] = (listedAmount[row.product_id] ?? 0) + Number(row.amount || 0);
+      }
+
+      const MAX_LINES = 50;
+      const candidates = missing.slice(0, MAX_LINES);
+      const lastPurchaseMap = await getLastPurchaseMap(cache, candidates.map(m => m.id));
+
+      const lines = candidates.map(m => {
+        const product = productById[m.id] ?? {};
+        const last = lastPurchaseMap[m.id] ?? {};
+        const missingAmount = roundAmount(m.amount_missing ?? 0);
+        const alreadyListed = roundAmount(listedAmount[m.id] ?? 0);
+        const toAdd = roundAmount(Math.max(0, missingAmount - alreadyListed));
+
+        // last_price is per price unit; one price unit is price_to_stock_factor stock units
+        const factor = Number(last.price_to_stock_factor) || 1;
+        const estimatedCost = typeof last.last_price === "number" && toAdd > 0
+          ? Math.round((toAdd / factor) * last.last_price * 100) / 100
+          : null;
+
+        return {
+          product_id: m.id,
+          product_name: m.name ?? product.name ?? "Unknown",
+          min_stock_amount: Number(product.min_stock_amount ?? 0),
+          missing_amount: missingAmount,
+          already_listed: alreadyListed,
+          to_add: toAdd,
+          unit: last.stock_qu_name ?? null,
+          last_store: last.store_id ? (storeMap[last.store_id] ?? null) : null,
+          last_price_per_price_unit: last.last_price ?? null,
+          price_unit: last.price_qu_name ?? null,
+          estimated_cost: estimatedCost,
+          status: toAdd > 0 ? "to_add" : "already_listed"
+        };
+      });
+
+      if (confirm) {
+        for (const line of lines) {
+          if (line.status !== "to_add") continue;
+
+          const addResp = await fetch(`${upstreamBase}/api/stock/shoppinglist/add-product`, {
+            method: "POST",
+            headers: upstreamJsonHeaders,
+            body: JSON.stringify({
+              product_id: line.product_id,
+              product_amount: line.to_add,
+              list_id: selectedList.id
+            })
+          });
+          line.status = addResp.ok ? "added" : "error";
+          if (!addResp.ok) line.error = "add_failed";
+        }
+      }
+
+      const costed = lines.filter(l => l.estimated_cost !== null && l.status !== "error");
+
+      return json({
+        status: confirm ? "applied" : "preview",
+        list: { id: selectedList.id, name: selectedList.name },
+        summary: {
+          below_minimum: missing.length,
+          to_add: lines.filter(l => l.status === "to_add" || l.status === "added").length,
+          added: lines.filter(l => l.status === "added").length,
+          already_listed: lines.filter(l => l.status === "already_listed").length,
+          errors: lines.filter(l => l.status === "error").length,
+          estimated_total: Math.round(costed.reduce((sum, l) => sum + l.estimated_cost, 0) * 100) / 100,
+          lines_without_price: lines.filter(l => l.to_add > 0 && l.estimated_cost === null).length
+        },
+        lines
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Update shopping list item (amount / note)
+    // ============================================================
+    async function handleUpdateShoppingListItem() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { amount, note } = body;
+      const hasAmount = amount !== undefined;
+      const hasNote = note !== undefined;
+      if ((!hasAmount && !hasNote) || (hasAmount && (typeof amount !== "number" || amount <= 0))) {
+        return jsonError(400, { error: "invalid_request" });
+      }
+
+      const found = await findShoppingListItem(caches.default, body);
+      if (found.error) return failureResponse(found);
+
+      const changes = {
+        ...(hasAmount ? { amount } : {}),
+        ...(hasNote ? { note } : {})
+      };
+
+      const updateResp = await fetch(`${upstreamBase}/api/objects/shopping_list/${found.item.id}`, {
+        method: "PUT",
+        headers: upstreamJsonHeaders,
+        body: JSON.stringify(changes)
+      });
+      if (!updateResp.ok) return upstreamError({ error: "update_failed", message: "Failed to update item" });
+
+      return json({
+        status: "updated",
+        list: { id: found.list.id, name: found.list.name },
+        item: found.describe({ ...found.item, ...changes })
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Mark shopping list item done / not done
+    // ============================================================
+    async function handleMarkShoppingListItemDone() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const done = body.done === undefined ? true : body.done;
+      if (typeof done !== "boolean") return jsonError(400, { error: "invalid_request" });
+
+      const found = await findShoppingListItem(caches.default, body);
+      if (found.error) return failureResponse(found);
+
+      const updateResp = await fetch(`${upstreamBase}/api/objects/shopping_list/${found.item.id}`, {
+        method: "PUT",
+        headers: upstreamJsonHeaders,
+        body: JSON.stringify({ done: done ? 1 : 0 })
+      });
+      if (!updateResp.ok) return upstreamError({ error: "update_failed", message: "Failed to update item" });
+
+      return json({
+        status: done ? "done" : "not_done",
+        list: { id: found.list.id, name: found.list.name },
+        item: found.describe({ ...found.item, done: done ? 1 : 0 })
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Remove shopping list item
+    // ============================================================
+    async function handleRemoveShoppingListItem() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const found = await findShoppingListItem(caches.default, body);
+      if (found.error) return failureResponse(found);
+
+      const deleteResp = await fetch(`${upstreamBase}/api/objects/shopping_list/${found.item.id}`, {
+        method: "DELETE",
+        headers: upstreamJsonHeaders
+      });
+      if (!deleteResp.ok) return upstreamError({ error: "remove_failed", message: "Failed to remove item" });
+
+      return json({
+        status: "removed",
+        list: { id: found.list.id, name: found.list.name },
+        item: found.describe(found.item)
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Clear shopping list (done items by default)
+    // ============================================================
+    async function handleClearShoppingList() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      // Clearing everything must be asked for explicitly
+      const doneOnly = body.done_only === undefined ? true : body.done_only;
+      if (typeof doneOnly !== "boolean") return jsonError(400, { error: "invalid_request" });
+
+      const cache = caches.default;
+
+      let lists;
+      try {
+        lists = await getCachedShoppingLists(cache);
+      } catch {
+        return upstreamError({ error: "shopping_lists_unavailable", message: "Failed to fetch shopping lists" });
+      }
+
+      const selected = selectShoppingList(lists, body.shopping_list_id);
+      if (selected.error) return jsonError(400, selected.error);
+      const selectedList = selected.list;
+
+      let items;
+      try {
+        items = await fetchShoppingListItems(selectedList.id);
+      } catch {
+        return upstreamError({ error: "shopping_list_unavailable", message: "Failed to fetch shopping list items" });
+      }
+
+      const clearResp = await fetch(`${upstreamBase}/api/stock/shoppinglist/clear`, {
+        method: "POST",
+        headers: upstreamJsonHeaders,
+        body: JSON.stringify({ list_id: selectedList.id, done_only: doneOnly })
+      });
+      if (!clearResp.ok) return upstreamError({ error: "clear_failed", message: "Failed to clear shopping list" });
+
+      const removed = doneOnly ? items.filter(i => Number(i.done) === 1).length : items.length;
+
+      return json({
+        status: "cleared",
+        list: { id: selectedList.id, name: selectedList.name },
+        done_only: doneOnly,
+        removed,
+        remaining: items.length - removed
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Get shopping list (with pricing context)
+    // ============================================================
+    async function handleGetShoppingList() {
+      const cache = caches.default;
+      const requestedListId = url.searchParams.get("list_id");
+
+      let lists;
+      try {
+        lists = await getCachedShoppingLists(cache);
+      } catch {
+        return upstreamError({ error: "shopping_lists_unavailable", message: "Failed to fetch shopping lists" });
+      }
+
+      if (lists.length === 0) {
+        return json({ list: null, items: [], total: 0, limit: 0, next_cursor: null });
+      }
+
+      const selected = selectShoppingList(lists, requestedListId);
+      if (selected.error) return jsonError(400, selected.error);
+      const selectedList = selected.list;
+
+      const params = readListParams(url.searchParams, LIST_OPTIONS.getShoppingList);
+      if (params.error) return jsonError(400, params.error);
+
+      let allItems;
+      try {
+        allItems = await fetchShoppingListItems(selectedList.id);
+      } catch {
+        return upstreamError({ error: "shopping_list_unavailable", message: "Failed to fetch shopping list items" });
+      }
+
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+      const productMap = Object.fromEntries(products.map(p => [p.id, p.name]));
+
+      const filter = await buildProductFilter(cache, url.searchParams, products);
+      if (filter.error) return failureResponse(filter);
+
+      const rows = allItems
+        .filter(i => filter.matches(i.product_id))
+        .map(i => ({ ...i, product_name: productMap[i.product_id] ?? null }));
+
+      rows.sort(makeComparator(params.sort === "name" ? "product_name" : "amount", params.order));
+
+      const page = paginate(rows, params);
+      const items = page.items;
+
+      const productIds = [...new Set(items.map(i => i.product_id).filter(id => typeof id === "number"))];
+
+      let stores;
+      try {
+        stores = await getCachedStores(cache);
+      } catch {
+        return upstreamError({ error: "stores_unavailable", message: "Failed to fetch stores" });
+      }
+      const storeMap = Object.fromEntries(stores.map(s => [s.id, s.name]));
+
+      const lastPurchaseMap = await getLastPurchaseMap(cache, productIds);
+
+      const enrichedItems = items.map(i => {
+        const last = lastPurchaseMap[i.product_id] ?? {};
+        return {
+          item_id: i.id,
+          product_id: i.product_id,
+          product_name: productMap[i.product_id] ?? "Unknown",
+          amount: i.amount,
+          note: i.note ?? null,
+          done: Number(i.done) === 1,
+          last_store: last.store_id ? (storeMap[last.store_id] ?? null) : null,
+          pricing: {
+            last_price_per_price_unit: last.last_price,
+            price_unit: last.price_qu_name,
+            price_qu_id: last.price_qu_id,
+            amount: i.amount,
+            shopping_list_qu_id: i.qu_id ?? null,
+            purchase_to_stock_factor: last.purchase_to_stock_factor,
+            price_to_stock_factor: last.price_to_stock_factor
+          }
+        };
+      });
+
+      return json({
+        list: { id: selectedList.id, name: selectedList.name },
+        items: enrichedItems,
+        total: page.total,
+        limit: page.limit,
+        next_cursor: page.next_cursor
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Get stock (enriched)
+    // ============================================================
+    async function handleGetStock() {
+      const params = readListParams(url.searchParams, LIST_OPTIONS.getStock);
+      if (params.error) return jsonError(400, params.error);
+
+      let dueBefore = null;
+      const dueWithin = url.searchParams.get("due_within_days");
+      if (dueWithin !== null) {
+        const days = Number(dueWithin);
+        if (!Number.isInteger(days) || days < 0) {
+          return jsonError(400, { error: "invalid_due_within_days", due_within_days: dueWithin });
+        }
+        dueBefore = addDays(todayIso(), days);
+      }
+
+      const stockResp = await fetch(`${upstreamBase}/api/objects/stock`, { headers: upstreamJsonHeaders });
+      if (!stockResp.ok) return upstreamError({ error: "stock_unavailable", message: "Failed to fetch stock" });
+
+      const stock = (await stockResp.json()).filter(s => typeof s.product_id === "number");
+
+      // Use cached reference data
+      const cache = caches.default;
+      let products, locations;
+      try {
+        [products, locations] = await Promise.all([getCachedProducts(cache), getCachedLocations(cache)]);
+      } catch {
+        return upstreamError({ error: "grocy_data_unavailable", message: "Failed to fetch products or locations" });
+      }
+
+      const productMap = Object.fromEntries(products.map(p => [p.id, p.name]));
+      const locationMap = Object.fromEntries(locations.map(l => [l.id, l.name]));
+
+      const filter = await buildProductFilter(cache, url.searchParams, products);
+      if (filter.error) return failureResponse(filter);
+
+      let rows = stock.filter(s => filter.matches(s.product_id));
+
+      const locationName = url.searchParams.get("location");
+      if (locationName) {
+        const location = locations.find(l => normalize(l.name) === normalize(locationName));
+        if (!location) return jsonError(400, { error: "invalid_location", location: locationName });
+        rows = rows.filter(s => s.location_id === location.id);
+      }
+
+      if (dueBefore) {
+        rows = rows.filter(s => s.best_before_date && s.best_before_date <= dueBefore);
+      }
+
+      const enriched = rows.map(s => ({
+        stock_id: s.id,
+        product_id: s.product_id,
+        product_name: productMap[s.product_id] ?? "Unknown",
+        amount: s.amount,
+        location: locationMap[s.location_id] ?? null,
+        best_before_date: s.best_before_date ?? null
+      }));
+
+      const sortKey = { name: "product_name", best_before: "best_before_date", amount: "amount" }[params.sort];
+      enriched.sort(makeComparator(sortKey, params.order, "stock_id"));
+
+      return json(paginate(enriched, params));
+    }
+
+    // ============================================================
+    // ENRICHED: Stock summary (one row per product)
+    // ============================================================
+    async function handleGetStockSummary() {
+      const params = readListParams(url.searchParams, LIST_OPTIONS.getStockSummary);
+      if (params.error) return jsonError(400, params.error);
+
+      // /api/stock has per-product totals; the per-location split only exists on stock entries
+      const [summaryResp, entriesResp] = await Promise.all([
+        fetch(`${upstreamBase}/api/stock`, { headers: upstreamJsonHeaders }),
+        fetch(`${upstreamBase}/api/objects/stock`, { headers: upstreamJsonHeaders })
+      ]);
+      if (!summaryResp.ok || !entriesResp.ok) return upstreamError({ error: "stock_unavailable", message: "Failed to fetch stock" });
+
+      const summary = await summaryResp.json();
+      const entries = await entriesResp.json();
+
+      const cache = caches.default;
+      let products, locations, units;
+      try {
+        [products, locations, units] = await Promise.all([
+          getCachedProducts(cache),
+          getCachedLocations(cache),
+          getCachedQuantityUnits(cache)
+        ]);
+      } catch {
+        return upstreamError({ error: "grocy_data_unavailable", message: "Failed to fetch products, locations or quantity units" });
+      }
+
+      const productById = Object.fromEntries(products.map(p => [p.id, p]));
+      const locationMap = Object.fromEntries(locations.map(l => [l.id, l.name]));
+      const unitById = Object.fromEntries(units.map(u => [u.id, u]));
+
+      const filter = await buildProductFilter(cache, url.searchParams, products);
+      if (filter.error) return failureResponse(filter);
+
+      let locationFilter = null;
+      const locationName = url.searchParams.get("location");
+      if (locationName) {
+        locationFilter = locations.find(l => normalize(l.name) === normalize(locationName));
+        if (!locationFilter) return jsonError(400, { error: "invalid_location", location: locationName });
+      }
+
+      const byLocation = {};
+      for (const e of entries) {
+        const perProduct = (byLocation[e.product_id] ??= {});
+        perProduct[e.location_id] = (perProduct[e.location_id] ?? 0) + Number(e.amount || 0);
+      }
+
+      const rows = summary
+        .filter(s => filter.matches(s.product_id))
+        .filter(s => !locationFilter || (byLocation[s.product_id]?.[locationFilter.id] ?? 0) > 0)
+        .map(s => {
+          const product = s.product ?? productById[s.product_id] ?? {};
+          const unit = unitById[product.qu_id_stock];
+          const amount = Number(s.amount ?? 0);
+          const minStock = Number(product.min_stock_amount ?? 0);
+
+          return {
+            product_id: s.product_id,
+            product_name: product.name ?? "Unknown",
+            amount: roundAmount(amount),
+            unit: amount === 1 ? (unit?.name ?? null) : (unit?.name_plural || unit?.name || null),
+            amount_opened: roundAmount(s.amount_opened ?? 0),
+            next_best_before_date: s.best_before_date ?? null,
+            locations: Object.entries(byLocation[s.product_id] ?? {})
+              .filter(([, locAmount]) => locAmount > 0)
+              .map(([locationId, locAmount]) => ({
+                location: locationMap[locationId] ?? "Unknown",
+                amount: roundAmount(locAmount)
+              }))
+              .sort((a, b) => b.amount - a.amount),
+            min_stock_amount: minStock,
+            below_min_stock: minStock > 0 && amount < minStock
+          };
+        });
+
+      const sortKey = { name: "product_name", best_before: "next_best_before_date", amount: "amount" }[params.sort];
+      rows.sort(makeComparator(sortKey, params.order, "product_id"));
+
+      return json(paginate(rows, params));
+    }
+
+    // ============================================================
+    // ENRICHED: Expiring / expired stock
+    // ============================================================
+    async function handleGetExpiringStock() {
+      const params = readListParams(url.searchParams, LIST_OPTIONS.getExpiringStock);
+      if (params.error) return jsonError(400, params.error);
+
+      const MAX_HORIZON_DAYS = 90;
+      const daysParam = url.searchParams.get("days");
+      const horizonDays = daysParam === null ? 7 : Number(daysParam);
+      if (!Number.isInteger(horizonDays) || horizonDays < 0 || horizonDays > MAX_HORIZON_DAYS) {
+        return jsonError(400, { error: "invalid_days", days: daysParam, max: MAX_HORIZON_DAYS });
+      }
+
+      // Grocy decides which products are due/overdue/expired; the entries give locations and amounts
+      const [volatileResp, entriesResp] = await Promise.all([
+        fetch(`${upstreamBase}/api/stock/volatile?due_soon_days=${horizonDays}`, { headers: upstreamJsonHeaders }),
+        fetch(`${upstreamBase}/api/objects/stock`, { headers: upstreamJsonHeaders })
+      ]);
+      if (!volatileResp.ok || !entriesResp.ok) return upstreamError({ error: "stock_unavailable", message: "Failed to fetch stock" });
+
+      const volatile = await volatileResp.json();
+      const entries = await entriesResp.json();
+
+      const cache = caches.default;
+      let products, locations, units;
+      try {
+        [products, locations, units] = await Promise.all([
+          getCachedProducts(cache),
+          getCachedLocations(cache),
+          getCachedQuantityUnits(cache)
+        ]);
+      } catch {
+        return upstreamError({ error: "grocy_data_unavailable", message: "Failed to fetch products, locations or quantity units" });
+      }
+
+      const productById = Object.fromEntries(products.map(p => [p.id, p]));
+      const locationMap = Object.fromEntries(locations.map(l => [l.id, l.name]));
+      const unitMap = Object.fromEntries(units.map(u => [u.id, u.name]));
+
+      const flagged = new Set([
+        ...(volatile.due_products ?? []),
+        ...(volatile.overdue_products ?? []),
+        ...(volatile.expired_products ?? [])
+      ].map(p => p.product_id));
+
+      const today = todayIso();
+      const horizon = addDays(today, horizonDays);
+      const dayMs = 24 * 60 * 60 * 1000;
+
+      const rows = entries
+        .filter(e => flagged.has(e.product_id) && e.best_before_date && e.best_before_date <= horizon)
+        .map(e => {
+          const product = productById[e.product_id] ?? {};
+          const daysRemaining = Math.round(
+            (Date.parse(`${e.best_before_date}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / dayMs
+          );
+
+          // Grocy due_type 2 means a hard expiry date rather than best-before
+          let status = "due_soon";
+          if (daysRemaining < 0) status = Number(product.due_type) === 2 ? "expired" : "overdue";
+
+          return {
+            stock_id: e.id,
+            product_id: e.product_id,
+            product_name: product.name ?? "Unknown",
+            location: locationMap[e.location_id] ?? null,
+            amount: roundAmount(e.amount),
+            unit: unitMap[product.qu_id_stock] ?? null,
+            best_before_date: e.best_before_date,
+            days_remaining: daysRemaining,
+            status,
+            opened: Number(e.open) === 1
+          };
+        });
+
+      rows.sort(makeComparator(params.sort === "name" ? "product_name" : "best_before_date", params.order, "stock_id"));
+
+      return json({
+        horizon_days: horizonDays,
+        counts: {
+          due_soon: rows.filter(r => r.status === "due_soon").length,
+          overdue: rows.filter(r => r.status === "overdue").length,
+          expired: rows.filter(r => r.status === "expired").length
+        },
+        ...paginate(rows, params)
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Recipe search
+    // ============================================================
+    async function handleSearchRecipes() {
+      const q = url.searchParams.get("q");
+      const limitParam = url.searchParams.get("limit");
+
+      if (!q || !q.trim()) return jsonError(400, { error: "missing_query" });
+
+      const limit = Math.min(Number(limitParam) || 5, 10);
+      const cache = caches.default;
+
+      let recipes;
+      try {
+        recipes = await getCachedRecipes(cache);
+      } catch {
+        return upstreamError({ error: "recipes_unavailable", message: "Failed to fetch recipes" });
+      }
+
+      const recipeById = Object.fromEntries(recipes.map(r => [r.id, r]));
+      const matches = rankByName(recipes.filter(r => r.name), q);
+
+      return json({
+        query: q,
+        decisive: matches.length > 0 && isDecisive(matches),
+        matches: matches.slice(0, limit).map(m => ({
+          id: m.id,
+          name: m.name,
+          servings: recipeById[m.id]?.base_servings ?? null,
+          confidence: Math.min(1, m.score / 100)
+        }))
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Cookable recipes (from Grocy fulfillment)
+    // ============================================================
+    async function handleGetCookableRecipes() {
+      const params = readListParams(url.searchParams, LIST_OPTIONS.getCookableRecipes);
+      if (params.error) return jsonError(400, params.error);
+
+      const maxMissingParam = url.searchParams.get("max_missing");
+      const maxMissing = maxMissingParam === null ? 0 : Number(maxMissingParam);
+      if (!Number.isInteger(maxMissing) || maxMissing < 0) {
+        return jsonError(400, { error: "invalid_max_missing", max_missing: maxMissingParam });
+      }
+
+      const fulfillmentResp = await fetch(`${upstreamBase}/api/recipes/fulfillment`, { headers: upstreamJsonHeaders });
+      if (!fulfillmentResp.ok) return upstreamError({ error: "recipe_fulfillment_unavailable", message: "Failed to fetch recipe fulfillment" });
+      const fulfillment = await fulfillmentResp.json();
+
+      const cache = caches.default;
+      let recipes;
+      try {
+        recipes = await getCachedRecipes(cache);
+      } catch {
+        return upstreamError({ error: "recipes_unavailable", message: "Failed to fetch recipes" });
+      }
+      const recipeById = Object.fromEntries(recipes.map(r => [r.id, r]));
+
+      const rows = fulfillment
+        .filter(f => recipeById[f.recipe_id])
+        .map(f => ({
+          recipe_id: f.recipe_id,
+          name: recipeById[f.recipe_id].name,
+          servings: recipeById[f.recipe_id].base_servings ?? null,
+          cookable: Number(f.need_fulfilled) === 1,
+          cookable_with_shopping_list: Number(f.need_fulfilled_with_shopping_list) === 1,
+          missing_ingredients: Number(f.missing_products_count ?? 0)
+        }))
+        .filter(r => r.missing_ingredients <= maxMissing);
+
+      rows.sort(makeComparator(params.sort === "name" ? "name" : "missing_ingredients", params.order, "recipe_id"));
+
+      return json({ max_missing: maxMissing, ...paginate(rows, params) });
+    }
+
+    // ============================================================
+    // ENRICHED: Recipe detail (ingredients resolved to names)
+    // ============================================================
+    async function handleGetRecipeDetail() {
+      const cache = caches.default;
+
+      let recipes;
+      try {
+        recipes = await getCachedRecipes(cache);
+      } catch {
+        return upstreamError({ error: "recipes_unavailable", message: "Failed to fetch recipes" });
+      }
+
+      const selected = selectRecipe(recipes, {
+        recipe: url.searchParams.get("recipe"),
+        recipe_id: url.searchParams.get("recipe_id")
+      });
+      if (selected.error) return jsonError(400, selected.error);
+      const recipe = selected.recipe;
+
+      let ingredients;
+      try {
+        ingredients = await getRecipeIngredients(cache, recipe.id);
+      } catch {
+        return upstreamError({ error: "recipe_ingredients_unavailable", message: "Failed to fetch recipe ingredients" });
+      }
+
+      return json({
+        recipe: {
+          id: recipe.id,
+          name: recipe.name,
+          servings: recipe.base_servings ?? null,
+          description: recipe.description || null
+        },
+        cookable: ingredients.every(i => i.fulfilled),
+        missing_ingredients: ingredients.filter(i => !i.fulfilled).length,
+        ingredients
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Put a recipe's missing ingredients on a shopping list
+    // ============================================================
+    async function handleAddMissingRecipeIngredients() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const cache = caches.default;
+
+      let recipes, lists;
+      try {
+        [recipes, lists] = await Promise.all([getCachedRecipes(cache), getCachedShoppingLists(cache)]);
+      } catch {
+        return upstreamError({ error: "grocy_data_unavailable", message: "Failed to fetch recipes or shopping lists" });
+      }
+
+      const selected = selectRecipe(recipes, body);
+      if (selected.error) return jsonError(400, selected.error);
+      const recipe = selected.recipe;
+
+      const selectedListResult = selectShoppingList(lists, body.shopping_list_id);
+      if (selectedListResult.error) return jsonError(400, selectedListResult.error);
+      const selectedList = selectedListResult.list;
+
+      let ingredients, listed;
+      try {
+        [ingredients, listed] = await Promise.all([
+          getRecipeIngredients(cache, recipe.id),
+          fetchShoppingListItems(selectedList.id)
+        ]);
+      } catch {
+        return upstreamError({ error: "grocy_data_unavailable", message: "Failed to fetch recipe ingredients or shopping list items" });
+      }
+
+      const listedAmount = {};
+      for (const row of listed) {
+        if (Number(row.done) === 1) continue;
+        listedAmount[row.product_id] = (listedAmount[row.product_id] ?? 0) + Number(row.amount || 0);
+      }
+
+      // The same product can appear in several ingredient rows
+      const missingByProduct = new Map();
+      for (const i of ingredients) {
+        if (i.missing_amount <= 0) continue;
+        const entry = missingByProduct.get(i.product_id) ?? { ...i, missing_amount: 0 };
+        entry.missing_amount = roundAmount(entry.missing_amount + i.missing_amount);
+        missingByProduct.set(i.product_id, entry);
+      }
+
+      const lines = [];
+      for (const i of missingByProduct.values()) {
+        const alreadyListed = roundAmount(listedAmount[i.product_id] ?? 0);
+        const toAdd = roundAmount(Math.max(0, i.missing_amount - alreadyListed));
+        const line = {
+          product_id: i.product_id,
+          product_name: i.product_name,
+          missing_amount: i.missing_amount,
+          already_listed: alreadyListed,
+          added: 0,
+          unit: i.stock_unit,
+          status: "already_listed"
+        };
+
+        if (toAdd > 0) {
+          const addResp = await fetch(`${upstreamBase}/api/stock/shoppinglist/add-product`, {
+            method: "POST",
+            headers: upstreamJsonHeaders,
+            body: JSON.stringify({
+              product_id: i.product_id,
+              product_amount: toAdd,
+              note: recipe.name,
+              list_id: selectedList.id
+            })
+          });
+          if (addResp.ok) {
+            line.added = toAdd;
+            line.status = "added";
+          } else {
+            line.status = "error";
+            line.error = "add_failed";
+          }
+        }
+
+        lines.push(line);
+      }
+
+      return json({
+        status: "completed",
+        recipe: { id: recipe.id, name: recipe.name },
+        list: { id: selectedList.id, name: selectedList.name },
+        summary: {
+          missing: lines.length,
+          added: lines.filter(l => l.status === "added").length,
+          already_listed: lines.filter(l => l.status === "already_listed").length,
+          errors: lines.filter(l => l.status === "error").length
+        },
+        lines
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Meal plan (date range)
+    // ============================================================
+    async function handleGetMealPlan() {
+      const MAX_RANGE_DAYS = 31;
+      const from = url.searchParams.get("from") || todayIso();
+      const to = url.searchParams.get("to") || addDays(from, 6);
+
+      if (!isIsoDate(from) || !isIsoDate(to) || to < from) {
+        return jsonError(400, { error: "invalid_date_range", from, to });
+      }
+      if (to > addDays(from, MAX_RANGE_DAYS - 1)) {
+        return jsonError(400, { error: "date_range_too_large", from, to, max_days: MAX_RANGE_DAYS });
+      }
+
+      const cache = caches.default;
+      let entries;
+      try {
+        entries = await getMealPlanEntries(cache, from, to);
+      } catch {
+        return upstreamError({ error: "meal_plan_unavailable", message: "Failed to fetch meal plan" });
+      }
+
+      const days = [];
+      for (let day = from; day <= to; day = addDays(day, 1)) {
+        days.push({
+          day,
+          entries: entries
+            .filter(e => e.day === day)
+            .sort((a, b) => a.section_sort - b.section_sort || a.entry_id - b.entry_id)
+            .map(({ day: _day, section_sort, ...entry }) => entry)
+        });
+      }
+
+      return json({ from, to, days });
+    }
+
+    // ============================================================
+    // ENRICHED: Meal plan add (recipe, product or note)
+    // ============================================================
+    async function handleAddMealPlanEntry() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { day, recipe, product, note, servings, amount, section } = body;
+      const kinds = [recipe, product].filter(Boolean).length;
+      if (!isIsoDate(day) || kinds > 1 || (kinds === 0 && !note)) {
+        return jsonError(400, { error: "invalid_request" });
+      }
+
+      const cache = caches.default;
+
+      const sectionResolved = await resolveMealPlanSection(cache, section);
+      if (sectionResolved.error) return failureResponse(sectionResolved);
+
+      let entry = { day, type: "note", note: note ?? "" };
+      let described = {};
+
+      if (recipe) {
+        let recipes;
+        try {
+          recipes = await getCachedRecipes(cache);
+        } catch {
+          return upstreamError({ error: "recipes_unavailable", message: "Failed to fetch recipes" });
+        }
+        const selected = selectRecipe(recipes, { recipe });
+        if (selected.error) return jsonError(400, selected.error);
+
+        const recipeServings = typeof servings === "number" && servings > 0
+          ? servings
+          : (selected.recipe.base_servings ?? 1);
+        entry = { day, type: "recipe", recipe_id: selected.recipe.id, recipe_servings: recipeServings, note: note ?? null };
+        described = { recipe: { id: selected.recipe.id, name: selected.recipe.name }, servings: recipeServings };
+      } else if (product) {
+        let products;
+        try {
+          products = await getCachedProducts(cache);
+        } catch {
+          return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+        }
+        const resolved = resolveProductFuzzy(products, product);
+        if (resolved.error) return jsonError(400, resolved.error);
+
+        const full = products.find(p => p.id === resolved.product.id) ?? {};
+        const productAmount = typeof amount === "number" && amount > 0 ? amount : 1;
+        entry = {
+          day,
+          type: "product",
+          product_id: full.id,
+          product_amount: productAmount,
+          product_qu_id: full.qu_id_stock ?? null,
+          note: note ?? null
+        };
+        described = { product: { id: full.id, name: full.name }, amount: productAmount };
+      }
+
+      if (sectionResolved.section) entry.section_id = sectionResolved.section.id;
+
+      const createResp = await fetch(`${upstreamBase}/api/objects/meal_plan`, {
+        method: "POST",
+        headers: upstreamJsonHeaders,
+        body: JSON.stringify(entry)
+      });
+      if (!createResp.ok) return upstreamError({ error: "add_failed", message: "Failed to add meal plan entry" });
+
+      const created = await createResp.json().catch(() => ({}));
+
+      return json({
+        status: "added",
+        entry: {
+          entry_id: created.created_object_id ?? null,
+          day,
+          type: entry.type,
+          section: sectionResolved.section?.name ?? null,
+          ...described,
+          note: note ?? null
+        }
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Meal plan remove
+    // ============================================================
+    async function handleRemoveMealPlanEntry() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      // A day alone is not enough; something must say which entry is meant
+      const { entry_id, day, recipe, product, section } = body;
+      if (!entry_id && (!isIsoDate(day) || (!recipe && !product && !section))) {
+        return jsonError(400, { error: "invalid_request" });
+      }
+
+      const cache = caches.default;
+      let target;
+
+      if (entry_id) {
+        const entryResp = await fetch(`${upstreamBase}/api/objects/meal_plan/${encodeURIComponent(entry_id)}`, {
+          headers: upstreamJsonHeaders
+        });
+        if (!entryResp.ok) return jsonError(400, { error: "invalid_entry_id", entry_id });
+        const row = await entryResp.json();
+        if (!row || !row.day) return jsonError(400, { error: "invalid_entry_id", entry_id });
+
+        let entries;
+        try {
+          entries = await getMealPlanEntries(cache, row.day, row.day);
+        } catch {
+          return upstreamError({ error: "meal_plan_unavailable", message: "Failed to fetch meal plan" });
+        }
+        target = entries.find(e => String(e.entry_id) === String(entry_id));
+        if (!target) return jsonError(400, { error: "invalid_entry_id", entry_id });
+      } else {
+        let entries;
+        try {
+          entries = await getMealPlanEntries(cache, day, day);
+        } catch {
+          return upstreamError({ error: "meal_plan_unavailable", message: "Failed to fetch meal plan" });
+        }
+
+        if (section) {
+          const sectionResolved = await resolveMealPlanSection(cache, section);
+          if (sectionResolved.error) return failureResponse(sectionResolved);
+          entries = entries.filter(e => e.section === sectionResolved.section.name);
+        }
+
+        // Match by name only among the entries planned for that day
+        if (recipe || product) {
+          const candidates = entries
+            .map(e => ({ id: e.entry_id, name: (recipe ? e.recipe?.name : e.product?.name) ?? null }))
+            .filter(c => c.name);
+          const matches = rankByName(candidates, recipe || product);
+          const top = matches[0];
+          entries = top ? entries.filter(e => matches.some(m => m.id === e.entry_id && m.score === top.score)) : [];
+        }
+
+        if (entries.length === 0) {
+          return jsonError(400, { error: "entry_not_found", day, recipe: recipe ?? null, product: product ?? null });
+        }
+        if (entries.length > 1) {
+          return jsonError(400, {
+            error: "multiple_entries",
+            entries: entries.map(({ section_sort, ...e }) => e)
+          });
+        }
+        target = entries[0];
+      }
+
+      const deleteResp = await fetch(`${upstreamBase}/api/objects/meal_plan/${target.entry_id}`, {
+        method: "DELETE",
+        headers: upstreamJsonHeaders
+      });
+      if (!deleteResp.ok) return upstreamError({ error: "remove_failed", message: "Failed to remove meal plan entry" });
+
+      const { section_sort, ...removed } = target;
+      return json({ status: "removed", entry: removed });
+    }
+
+    // ============================================================
+    // ENRICHED: Chores (due / overdue)
+    // ============================================================
+    async function handleGetDueChores() {
+      const MAX_HORIZON_DAYS = 90;
+      const daysParam = url.searchParams.get("days");
+      const horizonDays = daysParam === null ? 7 : Number(daysParam);
+      if (!Number.isInteger(horizonDays) || horizonDays < 0 || horizonDays > MAX_HORIZON_DAYS) {
+        return jsonError(400, { error: "invalid_days", days: daysParam, max: MAX_HORIZON_DAYS });
+      }
+
+      const choresResp = await fetch(`${upstreamBase}/api/chores`, { headers: upstreamJsonHeaders });
+      if (!choresResp.ok) return upstreamError({ error: "chores_unavailable", message: "Failed to fetch chores" });
+      const chores = await choresResp.json();
+
+      let users;
+      try {
+        users = await getCachedUsers(caches.default);
+      } catch {
+        return upstreamError({ error: "users_unavailable", message: "Failed to fetch users" });
+      }
+      const userMap = Object.fromEntries(users.map(u => [u.id, u.name]));
+
+      const items = chores
+        .map(c => {
+          const dueInDays = daysUntil(c.next_estimated_execution_time);
+          return {
+            chore_id: c.chore_id,
+            name: c.chore_name,
+            next_execution: c.next_estimated_execution_time ?? null,
+            due_in_days: dueInDays,
+            overdue: dueInDays !== null && dueInDays < 0,
+            assigned_to: c.next_execution_assigned_to_user_id
+              ? (userMap[c.next_execution_assigned_to_user_id] ?? null)
+              : null,
+            last_tracked: c.last_tracked_time ?? null
+          };
+        })
+        // Chores without a schedule have no next execution and are never "due"
+        .filter(c => c.due_in_days !== null && c.due_in_days <= horizonDays)
+        .sort((a, b) => a.due_in_days - b.due_in_days || String(a.name).localeCompare(String(b.name)));
+
+      return json({
+        horizon_days: horizonDays,
+        counts: {
+          overdue: items.filter(c => c.overdue).length,
+          due: items.filter(c => !c.overdue).length
+        },
+        items
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Track chore execution
+    // ============================================================
+    async function handleTrackChore() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { chore, done_by, tracked_time, skipped } = body;
+      if (!chore || (skipped !== undefined && typeof skipped !== "boolean")) {
+        return jsonError(400, { error: "invalid_request" });
+      }
+      if (tracked_time !== undefined && !isIsoDate(String(tracked_time).slice(0, 10))) {
+        return jsonError(400, { error: "invalid_request" });
+      }
+
+      const choresResp = await fetch(`${upstreamBase}/api/chores`, { headers: upstreamJsonHeaders });
+      if (!choresResp.ok) return upstreamError({ error: "chores_unavailable", message: "Failed to fetch chores" });
+      const chores = (await choresResp.json()).map(c => ({ id: c.chore_id, name: c.chore_name }));
+
+      const resolved = resolveFuzzy("chore", chores, chore);
+      if (resolved.error) return jsonError(400, resolved.error);
+
+      const userResolved = await resolveUserOption(caches.default, done_by);
+      if (userResolved.error) return failureResponse(userResolved);
+
+      const executeResp = await fetch(`${upstreamBase}/api/chores/${resolved.match.id}/execute`, {
+        method: "POST",
+        headers: upstreamJsonHeaders,
+        body: JSON.stringify({
+          ...(tracked_time ? { tracked_time } : {}),
+          ...(userResolved.user ? { done_by: userResolved.user.id } : {}),
+          skipped: skipped === true
+        })
+      });
+      if (!executeResp.ok) return upstreamError({ error: "track_failed", message: "Failed to track chore" });
+
+      const execution = await executeResp.json().catch(() => ({}));
+
+      return json({
+        status: skipped === true ? "skipped" : "tracked",
+        chore: { id: resolved.match.id, name: resolved.match.name },
+        tracked_time: execution.tracked_time ?? tracked_time ?? null,
+        done_by: userResolved.user?.name ?? null
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Open tasks
+    // ============================================================
+    async function handleGetOpenTasks() {
+      const tasksResp = await fetch(`${upstreamBase}/api/tasks`, { headers: upstreamJsonHeaders });
+      if (!tasksResp.ok) return upstreamError({ error: "tasks_unavailable", message: "Failed to fetch tasks" });
+      const tasks = await tasksResp.json();
+
+      let users;
+      try {
+        users = await getCachedUsers(caches.default);
+      } catch {
+        return upstreamError({ error: "users_unavailable", message: "Failed to fetch users" });
+      }
+      const userMap = Object.fromEntries(users.map(u => [u.id, u.name]));
+
+      const items = tasks
+        .filter(t => Number(t.done) !== 1)
+        .map(t => {
+          const dueInDays = daysUntil(t.due_date);
+          return {
+            task_id: t.id,
+            name: t.name,
+            description: t.description || null,
+            due_date: t.due_date || null,
+            due_in_days: dueInDays,
+            overdue: dueInDays !== null && dueInDays < 0,
+            assigned_to: t.assigned_to_user_id ? (userMap[t.assigned_to_user_id] ?? null) : null,
+            category: t.category?.name ?? null
+          };
+        })
+        // Dated tasks first, soonest first; undated ones last by name
+        .sort((a, b) =>
+          (a.due_in_days ?? Infinity) - (b.due_in_days ?? Infinity) ||
+          String(a.name).localeCompare(String(b.name)));
+
+      return json({
+        counts: {
+          open: items.length,
+          overdue: items.filter(t => t.overdue).length
+        },
+        items
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Create task
+    // ============================================================
+    async function handleAddTask() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { name, description, due_date, assigned_to } = body;
+      if (!name || typeof name !== "string" || (due_date !== undefined && !isIsoDate(due_date))) {
+        return jsonError(400, { error: "invalid_request" });
+      }
+
+      const userResolved = await resolveUserOption(caches.default, assigned_to);
+      if (userResolved.error) return failureResponse(userResolved);
+
+      const createResp = await fetch(`${upstreamBase}/api/objects/tasks`, {
+        method: "POST",
+        headers: upstreamJsonHeaders,
+        body: JSON.stringify({
+          name,
+          description: description ?? null,
+          due_date: due_date ?? null,
+          assigned_to_user_id: userResolved.user?.id ?? null
+        })
+      });
+      if (!createResp.ok) return upstreamError({ error: "create_failed", message: "Failed to create task" });
+
+      const created = await createResp.json().catch(() => ({}));
+
+      return json({
+        status: "created",
+        task: {
+          task_id: created.created_object_id ?? null,
+          name,
+          due_date: due_date ?? null,
+          assigned_to: userResolved.user?.name ?? null
+        }
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Complete task
+    // ============================================================
+    async function handleCompleteTask() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { task, task_id } = body;
+      if (!task && !task_id) return jsonError(400, { error: "invalid_request" });
+
+      // Only open tasks are candidates
+      const tasksResp = await fetch(`${upstreamBase}/api/tasks`, { headers: upstreamJsonHeaders });
+      if (!tasksResp.ok) return upstreamError({ error: "tasks_unavailable", message: "Failed to fetch tasks" });
+      const tasks = (await tasksResp.json()).filter(t => Number(t.done) !== 1);
+
+      let selected;
+      if (task_id) {
+        selected = tasks.find(t => String(t.id) === String(task_id));
+        if (!selected) return jsonError(400, { error: "invalid_task_id", task_id });
+      } else {
+        const resolved = resolveFuzzy("task", tasks, task);
+        if (resolved.error) return jsonError(400, resolved.error);
+        selected = tasks.find(t => t.id === resolved.match.id);
+      }
+
+      const completeResp = await fetch(`${upstreamBase}/api/tasks/${selected.id}/complete`, {
+        method: "POST",
+        headers: upstreamJsonHeaders,
+        body: JSON.stringify({})
+      });
+      if (!completeResp.ok) return upstreamError({ error: "complete_failed", message: "Failed to complete task" });
+
+      return json({
+        status: "completed",
+        task: { task_id: selected.id, name: selected.name, due_date: selected.due_date || null }
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Product search
+    // ============================================================
+    async function handleSearchProducts() {
+      const q = url.searchParams.get("q");
+      const limitParam = url.searchParams.get("limit");
+
+      if (!q || !q.trim()) return jsonError(400, { error: "missing_query" });
+
+      const limit = Math.min(Number(limitParam) || 5, 10);
+      const cache = caches.default;
+
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+
+      const matches = rankByName(products.filter(p => p.name), q, productAliases);
+
+      return json({
+        query: q,
+        // Whether stock/shopping-list routes would pick the first match without asking
+        decisive: matches.length > 0 && isDecisive(matches),
+        matches: matches.slice(0, limit).map(m => ({
+          id: m.id,
+          name: m.name,
+          confidence: Math.min(1, m.score / 100),
+          match: m.breakdown
+        }))
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Product by barcode
+    // ============================================================
+    async function handleGetProductByBarcode() {
+      const cache = caches.default;
+
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+
+      const scanned = await resolveBarcode(cache, products, url.searchParams.get("barcode"));
+      if (scanned.error) return failureResponse(scanned);
+
+      return json({
+        product: { id: scanned.product.id, name: scanned.product.name },
+        barcode: scanned.barcode
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Product create
+    // ============================================================
+    async function handleCreateProduct() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const {
+        name,
+        description,
+        default_location,
+        quantity_units = {},
+        product_group,
+        image_url,
+        barcodes = []
+      } = body;
+
+      if (!name || typeof name !== "string") return jsonError(400, { error: "invalid_request" });
+
+      const cache = caches.default;
+
+      // De-dupe check
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+
+      const normalizedName = normalize(name);
+      if (products.some(p => normalize(p.name) === normalizedName)) {
+        return jsonError(400, { error: "product_exists", product: name });
+      }
+
+      // Resolve location
+      const locationName = default_location || DEFAULT_LOCATION_NAME;
+      let locations;
+      try {
+        locations = await getCachedLocations(cache);
+      } catch {
+        return upstreamError({ error: "locations_unavailable", message: "Failed to fetch locations" });
+      }
+
+      const location = locations.find(l => normalize(l.name) === normalize(locationName));
+      if (!location) return jsonError(400, { error: "invalid_location", location: locationName });
+
+      // Resolve quantity units
+      let units;
+      try {
+        units = await getCachedQuantityUnits(cache);
+      } catch {
+        return upstreamError({ error: "quantity_units_unavailable", message: "Failed to fetch quantity units" });
+      }
+
+      const resolveUnit = (unitName) => units.find(u => normalize(u.name) === normalize(unitName));
+
+      const resolvedUnits = {
+        stock: resolveUnit(quantity_units.stock || DEFAULT_UNITS.stock),
+        purchase: resolveUnit(quantity_units.purchase || DEFAULT_UNITS.purchase),
+        consume: resolveUnit(quantity_units.consume || DEFAULT_UNITS.consume),
+        price: resolveUnit(quantity_units.price || DEFAULT_UNITS.price)
+      };
+
+      for (const [key, unit] of Object.entries(resolvedUnits)) {
+        if (!unit) return jsonError(400, { error: "invalid_quantity_unit", unit: key });
+      }
+
+      // Resolve product group (optional)
+      let product_group_id = null;
+      if (product_group) {
+        let groups;
+        try {
+          groups = await getCachedProductGroups(cache);
+        } catch {
+          return upstreamError({ error: "product_groups_unavailable", message: "Failed to fetch product groups" });
+        }
+
+        const match = groups.find(g => normalize(g.name) === normalize(product_group));
+        if (!match) return jsonError(400, { error: "invalid_product_group", product_group });
+        product_group_id = match.id;
+      }
+
+      // Resolve barcodes (optional); all of them are checked before anything is created
+      const barcodeRows = [];
+      if (barcodes.length > 0) {
+        let existing;
+        try {
+          existing = await getCachedProductBarcodes(cache);
+        } catch {
+          return upstreamError({ error: "product_barcodes_unavailable", message: "Failed to fetch product barcodes" });
+        }
+
+        for (const entry of barcodes) {
+          const code = normalizeBarcode(entry.barcode);
+          if (barcodeRows.some(row => row.barcode === code)) {
+            return jsonError(400, { error: "duplicate_barcode", barcode: code });
+          }
+
+          const taken = existing.find(b => normalizeBarcode(b.barcode) === code);
+          if (taken) {
+            const owner = products.find(p => p.id === Number(taken.product_id));
+            return jsonError(400, {
+              error: "barcode_exists",
+              barcode: code,
+              product: owner ? { id: owner.id, name: owner.name } : null
+            });
+          }
+
+          const unit = entry.unit ? resolveQuantityUnit(units, entry.unit) : null;
+          if (entry.unit && !unit) return jsonError(400, { error: "invalid_quantity_unit", unit: entry.unit });
+
+          const storeResolved = await resolveStoreOption(cache, entry.store);
+          if (storeResolved.error) return failureResponse(storeResolved);
+
+          barcodeRows.push({
+            barcode: code,
+            qu_id: unit?.id ?? null,
+            amount: entry.amount ?? null,
+            shopping_location_id: storeResolved.store?.id ?? null,
+            note: entry.note ?? null
+          });
+        }
+      }
+
+      // Create product
+      const createResp = await fetch(`${upstreamBase}/api/objects/products`, {
+        method: "POST",
+        headers: upstreamJsonHeaders,
+        body: JSON.stringify({
+          name,
+          description,
+          location_id: location.id,
+          qu_id_stock: resolvedUnits.stock.id,
+          qu_id_purchase: resolvedUnits.purchase.id,
+          qu_id_consume: resolvedUnits.consume.id,
+          qu_id_price: resolvedUnits.price.id,
+          product_group_id
+        })
+      });
+      if (!createResp.ok) return upstreamError({ error: "create_failed", message: "Failed to create product" });
+
+      const created = await createResp.json();
+      const productId = created.created_object_id;
+
+      // Optional image upload (best effort)
+      let imageAttached = false;
+      let imageError = null;
+
+      if (image_url) {
+        try {
+          // A third-party download, not a Grocy call: kept out of the upstream call budget
+          const imgResp = await globalThis.fetch(image_url, { signal: AbortSignal.timeout(IMAGE_DOWNLOAD_TIMEOUT_MS) });
+          if (!imgResp.ok) throw new Error(`image fetch failed (${imgResp.status})`);
+
+          const size = Number(imgResp.headers.get("content-length") || 0);
+          if (size > 5_000_000) throw new Error("image too large");
+
+          const ct = imgResp.headers.get("content-type") || "";
+          if (!ct.startsWith("image/")) throw new Error(`invalid content-type (${ct})`);
+
+          const blob = await imgResp.blob();
+          const form = new FormData();
+          form.append("file", blob, "product.jpg");
+
+          const uploadResp = await fetch(`${upstreamBase}/api/files/productpictures/${productId}`, {
+            method: "POST",
+            headers: upstreamFileHeaders,
+            body: form
+          });
+
+          if (!uploadResp.ok) {
+            const text = await uploadResp.text();
+            throw new Error(`upload failed (${uploadResp.status}): ${text}`);
+          }
+
+          imageAttached = true;
+        } catch (err) {
+          imageError = err.message;
+          console.log("Image upload failed:", imageError);
+        }
+      }
+
+      // Barcodes (best effort like the image: the product exists either way)
+      const attachedBarcodes = [];
+      for (const row of barcodeRows) {
+        const barcodeResp = await fetch(`${upstreamBase}/api/objects/product_barcodes`, {
+          method: "POST",
+          headers: upstreamJsonHeaders,
+          body: JSON.stringify({ product_id: productId, ...row })
+        });
+        attachedBarcodes.push({
+          barcode: row.barcode,
+          attached: barcodeResp.ok,
+          error: barcodeResp.ok ? null : `attach failed (${barcodeResp.status})`
+        });
+      }
+
+      return json({
+        status: "created",
+        product: { id: productId, name },
+        location: location.name,
+        quantity_units: {
+          stock: resolvedUnits.stock.name,
+          purchase: resolvedUnits.purchase.name,
+          consume: resolvedUnits.consume.name,
+          price: resolvedUnits.price.name
+        },
+        image: { attached: imageAttached, error: imageError },
+        barcodes: attachedBarcodes
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Stock add (single)
+    // ============================================================
+    async function handleAddStock() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const dryRun = readFlag(body, "dry_run");
+      if (dryRun === undefined) return jsonError(400, { error: "invalid_request" });
+
+      const cache = caches.default;
+
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+
+      const storeResolved = await resolveStoreOption(cache, body.store);
+      if (storeResolved.error) return failureResponse(storeResolved);
+
+      const added = await addStockLine(cache, products, body, {
+        store: storeResolved.store,
+        purchased_at: body.purchased_at,
+        dry_run: dryRun
+      });
+      if (added.error) return failureResponse(added);
+
+      return json({ status: dryRun ? "would_add" : "added", dry_run: dryRun, ...added.result });
+    }
+
+    // ============================================================
+    // ENRICHED: Stock add bulk
+    // ============================================================
+    async function handleAddStockBulk() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { items } = body;
+      const dryRun = readFlag(body, "dry_run");
+      if (!Array.isArray(items) || items.length === 0 || dryRun === undefined) {
+        return jsonError(400, { error: "invalid_request" });
+      }
+
+      const MAX_ITEMS = 25;
+      const safeItems = items.slice(0, MAX_ITEMS);
+
+      const cache = caches.default;
+
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+
+      // Store and purchase date apply to every line, so an ambiguous store stops the whole request
+      const storeResolved = await resolveStoreOption(cache, body.store);
+      if (storeResolved.error) return failureResponse(storeResolved);
+
+      const booking = { store: storeResolved.store, purchased_at: body.purchased_at, dry_run: dryRun };
+      const addedStatus = dryRun ? "would_add" : "added";
+
+      const results = [];
+
+      for (const item of safeItems) {
+        const { line } = item ?? {};
+
+        const invalid = lineProblems(item);
+        if (invalid.length > 0) {
+          results.push({ line, status: "error", error: "invalid_line", errors: invalid });
+          continue;
+        }
+
+        if (upstreamCallsLeft() <= 0) {
+          results.push({ line, status: "error", error: "upstream_call_limit_exceeded" });
+          continue;
+        }
+
+        const added = await addStockLine(cache, products, item ?? {}, booking);
+
+        if (added.error) {
+          const lineError = added.error.error === "invalid_request"
+            ? { error: "invalid_line" }
+            : added.error;
+          results.push({ line, status: "error", ...lineError });
+          continue;
+        }
+
+        results.push({ line, status: addedStatus, ...added.result });
+      }
+
+      return json({
+        status: dryRun ? "preview" : "completed",
+        dry_run: dryRun,
+        batch_id: dryRun ? null : await rememberBatch("add", results),
+        summary: {
+          total: safeItems.length,
+          added: results.filter(r => r.status === "added").length,
+          would_add: results.filter(r => r.status === "would_add").length,
+          errors: results.filter(r => r.status === "error").length
+        },
+        results
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Stock add by barcode
+    // ============================================================
+    async function handleAddStockByBarcode() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const dryRun = readFlag(body, "dry_run");
+      if (dryRun === undefined) return jsonError(400, { error: "invalid_request" });
+
+      const cache = caches.default;
+
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+
+      const scanned = await resolveBarcode(cache, products, body.barcode);
+      if (scanned.error) return failureResponse(scanned);
+
+      // A store named in the request wins over the one stored with the barcode
+      const storeResolved = body.store
+        ? await resolveStoreOption(cache, body.store)
+        : { store: scanned.barcode.store };
+      if (storeResolved.error) return failureResponse(storeResolved);
+
+      // Each scan is the barcode's amount in the barcode's unit; `price` is per scan
+      const count = body.count ?? 1;
+      const added = await addStockLine(cache, products, {
+        product_id: scanned.product.id,
+        amount: roundAmount(count * scanned.barcode.amount),
+        qu_id: scanned.quId,
+        price: typeof body.price === "number" ? body.price / scanned.barcode.amount : undefined,
+        best_before_date: body.best_before_date
+      }, {
+        store: storeResolved.store,
+        purchased_at: body.purchased_at,
+        dry_run: dryRun
+      });
+      if (added.error) return failureResponse(added);
+
+      return json({
+        status: dryRun ? "would_add" : "added",
+        dry_run: dryRun,
+        ...added.result,
+        barcode: { ...scanned.barcode, count }
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Stock consume (single)
+    // ============================================================
+    async function handleConsumeStock() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const cache = caches.default;
+
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+
+      const consumed = await consumeStockLine(cache, products, body);
+      if (consumed.error) return failureResponse(consumed);
+
+      return json({ status: "consumed", ...consumed.result });
+    }
+
+    // ============================================================
+    // ENRICHED: Stock consume bulk
+    // ============================================================
+    async function handleConsumeStockBulk() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { items } = body;
+      if (!Array.isArray(items) || items.length === 0) return jsonError(400, { error: "invalid_request" });
+
+      const MAX_ITEMS = 25;
+      const safeItems = items.slice(0, MAX_ITEMS);
+
+      const cache = caches.default;
+
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+
+      const results = [];
+
+      // Sequential on purpose: later lines must see the stock left by earlier ones
+      for (const item of safeItems) {
+        const { line } = item ?? {};
+
+        const invalid = lineProblems(item);
+        if (invalid.length > 0) {
+          results.push({ line, status: "error", error: "invalid_line", errors: invalid });
+          continue;
+        }
+
+        if (upstreamCallsLeft() <= 0) {
+          results.push({ line, status: "error", error: "upstream_call_limit_exceeded" });
+          continue;
+        }
+
+        const consumed = await consumeStockLine(cache, products, item ?? {});
+
+        if (consumed.error) {
+          const lineError = consumed.error.error === "invalid_request"
+            ? { error: "invalid_line" }
+            : consumed.error;
+          results.push({ line, status: "error", ...lineError });
+          continue;
+        }
+
+        results.push({ line, status: "consumed", ...consumed.result });
+      }
+
+      return json({
+        status: "completed",
+        batch_id: await rememberBatch("consume", results),
+        summary: {
+          total: safeItems.length,
+          consumed: results.filter(r => r.status === "consumed").length,
+          errors: results.filter(r => r.status === "error").length
+        },
+        results
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Stock consume by barcode
+    // ============================================================
+    async function handleConsumeStockByBarcode() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const cache = caches.default;
+
+      let products;
+      try {
+        products = await getCachedProducts(cache);
+      } catch {
+        return upstreamError({ error: "products_unavailable", message: "Failed to fetch products" });
+      }
+
+      const scanned = await resolveBarcode(cache, products, body.barcode);
+      if (scanned.error) return failureResponse(scanned);
+
+      const productRef = { id: scanned.product.id, name: scanned.product.name };
+      const consumeAll = body.consume_all === true;
+      const count = body.count ?? 1;
+
+      // Consumption is booked in the stock unit, so the scanned amount is converted first
+      let amount;
+      if (!consumeAll) {
+        let units, conversions;
+        try {
+          [units, conversions] = await Promise.all([
+            getCachedQuantityUnits(cache),
+            getCachedUnitConversions(cache)
+          ]);
+        } catch {
+          return upstreamError({ error: "quantity_units_unavailable", message: "Failed to fetch quantity units" });
+        }
+
+        const stockQuId = Number(scanned.product.qu_id_stock);
+        const found = findUnitConversion(conversions, productRef.id, scanned.quId, stockQuId);
+        if (!found) {
+          return jsonError(400, {
+            error: "unit_not_convertible",
+            product: productRef,
+            unit: scanned.barcode.unit,
+            stock_unit: units.find(u => u.id === stockQuId)?.name ?? "stock unit"
+          });
+        }
+        amount = roundAmount(count * scanned.barcode.amount * found.factor);
+      }
+
+      const consumed = await consumeStockLine(cache, products, {
+        product_id: productRef.id,
+        amount,
+        consume_all: consumeAll,
+        spoiled: body.spoiled,
+        location: body.location
+      });
+      if (consumed.error) return failureResponse(consumed);
+
+      return json({ status: "consumed", ...consumed.result, barcode: { ...scanned.barcode, count } });
+    }
+
+    // ============================================================
+    // ENRICHED: Undo stock bookings
+    // ============================================================
+    async function handleUndoStock() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { transaction_id, transaction_ids, batch_id } = body;
+      const selectors = [transaction_id, transaction_ids, batch_id].filter(v => v !== undefined);
+      if (selectors.length !== 1) return jsonError(400, { error: "invalid_request" });
+
+      const MAX_ITEMS = 25;
+      let targets;
+
+      if (batch_id !== undefined) {
+        const stored = typeof batch_id === "string" && batch_id
+          ? await caches.default.match(batchCacheKey(batch_id))
+          : null;
+        if (!stored) return jsonError(400, { error: "batch_not_found", batch_id });
+        targets = (await stored.json()).transactions;
+      } else if (transaction_ids !== undefined) {
+        if (
+          !Array.isArray(transaction_ids) ||
+          transaction_ids.length === 0 ||
+          transaction_ids.length > MAX_ITEMS ||
+          !transaction_ids.every(t => typeof t === "string" && t)
+        ) {
+          return jsonError(400, { error: "invalid_request" });
+        }
+        targets = transaction_ids.map(t => ({ line: null, transaction_id: t }));
+      } else {
+        if (typeof transaction_id !== "string" || !transaction_id) {
+          return jsonError(400, { error: "invalid_request" });
+        }
+        targets = [{ line: null, transaction_id }];
+      }
+
+      const cache = caches.default;
+      const results = [];
+
+      for (const target of targets) {
+        const line = target.line;
+        if (upstreamCallsLeft() <= 0) {
+          results.push({
+            line,
+            status: "error",
+            transaction_id: target.transaction_id,
+            error: "upstream_call_limit_exceeded"
+          });
+          continue;
+        }
+
+        const undone = await undoStockTransaction(cache, target.transaction_id);
+
+        if (undone.error) {
+          results.push({ line, status: "error", transaction_id: target.transaction_id, ...undone.error });
+          continue;
+        }
+
+        results.push({ line, status: "undone", ...undone.result });
+      }
+
+      return json({
+        status: "completed",
+        batch_id: batch_id ?? null,
+        summary: {
+          total: targets.length,
+          undone: results.filter(r => r.status === "undone").length,
+          errors: results.filter(r => r.status === "error").length
+        },
+        results
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Audit log
+    // ============================================================
+    async function handleGetAuditLog() {
+      if (!env.AUDIT_LOG) return jsonError(503, { error: "audit_log_not_configured" });
+
+      const params = readListParams(url.searchParams, LIST_OPTIONS.getAuditLog);
+      if (params.error) return jsonError(400, params.error);
+
+      const clientFilter = url.searchParams.get("client");
+      const routeFilter = url.searchParams.get("route");
+      const productFilter = normalize(url.searchParams.get("product"));
+      const statusFilter = url.searchParams.get("status");
+      const since = url.searchParams.get("since");
+      const until = url.searchParams.get("until");
+
+      if (statusFilter && !["ok", "error"].includes(statusFilter) && !/^\d{3}$/.test(statusFilter)) {
+        return jsonError(400, { error: "invalid_status", status: statusFilter, allowed: ["ok", "error", "<http status>"] });
+      }
+      for (const [name, value] of [["since", since], ["until", until]]) {
+        if (value && Number.isNaN(Date.parse(value))) return jsonError(400, { error: `invalid_${name}`, [name]: value });
+      }
+
+      // Only the newest entries are searched; KV lists keys newest first thanks to the key format
+      const MAX_SCAN = 1000;
+      const keys = [];
+      let kvCursor;
+      do {
+        const page = await env.AUDIT_LOG.list({ prefix: "audit:", limit: MAX_SCAN - keys.length, cursor: kvCursor });
+        keys.push(...page.keys);
+        kvCursor = page.list_complete ? undefined : page.cursor;
+      } while (kvCursor && keys.length < MAX_SCAN);
+
+      const matching = keys.filter(({ metadata: m = {} }) => {
+        if (clientFilter && m.client !== clientFilter) return false;
+        if (routeFilter && !String(m.route || "").startsWith(routeFilter)) return false;
+        if (statusFilter === "ok" && !(m.status < 400)) return false;
+        if (statusFilter === "error" && !(m.status >= 400)) return false;
+        if (/^\d{3}$/.test(statusFilter || "") && m.status !== Number(statusFilter)) return false;
+        if (since && !(Date.parse(m.at) >= Date.parse(since))) return false;
+        if (until && !(Date.parse(m.at) <= Date.parse(until))) return false;
+        if (productFilter && !normalize(String(m.products || "").replace(/\|/g, " ")).includes(productFilter)) return false;
+        return true;
+      });
+      if (params.order === "asc") matching.reverse();
+
+      const page = paginate(matching, params);
+      const entries = await Promise.all(page.items.map(k => env.AUDIT_LOG.get(k.name, { type: "json" })));
+
+      return json({
+        ...page,
+        items: entries.filter(Boolean),
+        scanned: keys.length
+      });
+    }
+
+    // ============================================================
+    // ENRICHED: Purge cached Grocy data
+    // ============================================================
+    async function handlePurgeCache() {
+      const body = await safeJson(req);
+      if (!body) return jsonError(400, { error: "invalid_json" });
+
+      const { datasets, product_ids = [] } = body;
+      const all = datasets.includes("all");
+      if (datasets.includes("stock_product") && product_ids.length === 0) {
+        return jsonError(400, { error: "product_ids_required", dataset: "stock_product" });
+      }
+
+      const names = all ? Object.keys(CACHED_DATASETS) : datasets.filter(name => name !== "stock_product");
+      const productIds = all || datasets.includes("stock_product") ? product_ids : [];
+      await invalidateCached(names, productIds);
+
+      return json({
+        status: "purged",
+        datasets: names,
+        product_ids: productIds
+      });
+    }
+
+    // ============================================================
+    // Request validation against the route table's OpenAPI docs
+    // ============================================================
+    // Only the JSON Schema keywords the docs use are supported. `anyOf` / `oneOf` list which
+    // fields must be present (each alternative is just a `required` list).
+
+    // Checks the query string and JSON body against the route's declared parameters and
+    // requestBody; returns a 400 listing every problem, or null when the request is valid
+    async function validateRequest(route) {
+      const { schemas } = OPENAPI_COMPONENTS;
+      const problems = [];
+
+      const params = (route.doc.parameters ?? []).filter(p => p.in === "query");
+      for (const param of params) {
+        const raw = url.searchParams.get(param.name);
+        if (raw === null || raw === "") {
+          if (param.required) {
+            problems.push({ in: "query", field: param.name, problem: "required", expected: describeSchema(param.schema) });
+          }
+          continue;
+        }
+        for (const problem of schemaProblems(param.schema, queryValue(param.schema, raw), param.name, schemas)) {
+          problems.push({ in: "query", ...problem, received: raw });
+        }
+      }
+
+      const known = params.map(p => p.name);
+      for (const [name, raw] of url.searchParams) {
+        if (known.includes(name)) continue;
+        problems.push({
+          in: "query",
+          field: name,
+          problem: "unknown_field",
+          expected: known.length ? `one of: ${known.join(", ")}` : "no query parameters",
+          received: raw
+        });
+      }
+
+      const bodySchema = route.doc.requestBody?.content["application/json"].schema;
+      if (bodySchema) {
+        let body;
+        try {
+          body = JSON.parse(await req.clone().text());
+        } catch {
+          return jsonError(400, { error: "invalid_json" });
+        }
+        const checked = route.lines ? withoutLineItems(bodySchema, route.lines, schemas) : bodySchema;
+        for (const problem of schemaProblems(checked, body, null, schemas)) {
+          problems.push({ in: "body", ...problem });
+        }
+      }
+
+      return problems.length ? jsonError(400, { error: "validation_failed", errors: problems }) : null;
+    }
+
+    // Query values arrive as strings; numbers and booleans are parsed before the schema check
+    function queryValue(schema, raw) {
+      const numeric = schema.type === "integer" || schema.type === "number";
+      if (numeric && raw.trim() !== "" && !Number.isNaN(Number(raw))) return Number(raw);
+      if (schema.type === "boolean" && (raw === "true" || raw === "false")) return raw === "true";
+      return raw;
+    }
+
+    // Inlines a $ref and folds allOf parts into one schema
+    function flattenSchema(schema, schemas) {
+      if (schema.$ref) return flattenSchema(schemas[schema.$ref.split("/").pop()], schemas);
+      if (!schema.allOf) return schema;
+
+      const { allOf, ...rest } = schema;
+      return allOf.map(part => flattenSchema(part, schemas)).reduce((merged, part) => ({
+        ...merged,
+        ...part,
+        properties: { ...merged.properties, ...part.properties },
+        required: [...(merged.required ?? []), ...(part.required ?? [])]
+      }), rest);
+    }
+
+    // Collects every way `value` breaks `schema`. `field` is the path reported back
+    // (e.g. "items[2].amount"), null for the body as a whole.
+    // Bulk routes (`lines` in the route table) check each line in the handler, so a bad line
+    // fails only itself and lines past the cap are ignored; the request itself only needs a
+    // non-empty list.
+    function withoutLineItems(schema, name, schemas) {
+      const flat = flattenSchema(schema, schemas);
+      const { items, maxItems, ...lines } = flattenSchema(flat.properties[name], schemas);
+      return { ...flat, properties: { ...flat.properties, [name]: lines } };
+    }
+
+    // Field-level problems of one bulk line against the route's line schema; [] when valid
+    function lineProblems(item) {
+      const { schemas } = OPENAPI_COMPONENTS;
+      const route = findRoute(req.method, url.pathname);
+      const bodySchema = flattenSchema(route.doc.requestBody.content["application/json"].schema, schemas);
+      return schemaProblems(flattenSchema(bodySchema.properties[route.lines], schemas).items, item ?? null, null, schemas);
+    }
+
+    function schemaProblems(schema, value, field, schemas, problems = []) {
+      schema = flattenSchema(schema, schemas);
+      const fail = (problem, received = value) =>
+        problems.push({ field, problem, expected: describeSchema(schema), received });
+
+      if (value === null) {
+        if (!schema.nullable) fail("type");
+        return problems;
+      }
+      if (schema.type && !matchesType(schema.type, value)) {
+        fail("type");
+        return problems;
+      }
+      if (schema.enum && !schema.enum.includes(value)) fail("enum");
+
+      if (typeof value === "string") {
+        if (schema.format && !matchesFormat(schema.format, value)) fail("format");
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail("pattern");
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail("length");
+      }
+
+      if (typeof value === "number") {
+        const tooSmall =
+          (schema.minimum !== undefined && value < schema.minimum) ||
+          (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum);
+        const tooLarge = schema.maximum !== undefined && value > schema.maximum;
+        if (tooSmall || tooLarge) fail("range");
+      }
+
+      if (Array.isArray(value)) {
+        const countOk =
+          (schema.minItems === undefined || value.length >= schema.minItems) &&
+          (schema.maxItems === undefined || value.length <= schema.maxItems);
+        // Per-item problems of an oversized list would only be noise
+        if (!countOk) fail("item_count", value.length);
+        else if (schema.items) {
+          value.forEach((item, i) => schemaProblems(schema.items, item, `${field ?? ""}[${i}]`, schemas, problems));
+        }
+      }
+
+      if (matchesType("object", value) && schema.properties) {
+        const fieldPath = name => (field === null ? name : `${field}.${name}`);
+
+        for (const name of schema.required ?? []) {
+          if (value[name] !== undefined) continue;
+          const expected = describeSchema(flattenSchema(schema.properties[name] ?? {}, schemas));
+          problems.push({ field: fieldPath(name), problem: "required", expected });
+        }
+
+        for (const [name, fieldValue] of Object.entries(value)) {
+          if (schema.properties[name]) {
+            schemaProblems(schema.properties[name], fieldValue, fieldPath(name), schemas, problems);
+          } else if (schema.additionalProperties !== true) {
+            problems.push({
+              field: fieldPath(name),
+              problem: "unknown_field",
+              expected: `one of: ${Object.keys(schema.properties).join(", ")}`,
+              received: fieldValue
+            });
+          }
+        }
+
+        const alternatives = schema.oneOf ?? schema.anyOf;
+        if (alternatives) {
+          const present = alternatives.filter(alt => alt.required.every(name => value[name] !== undefined));
+          if (present.length === 0 || (schema.oneOf && present.length > 1)) {
+            const names = alternatives.map(alt => alt.required.join(" + ")).join(", ");
+            problems.push({
+              field,
+              problem: "alternatives",
+              expected: `${schema.oneOf ? "exactly" : "at least"} one of: ${names}`
+            });
+          }
+        }
+      }
+
+      return problems;
+    }
+
+    function matchesType(type, value) {
+      switch (type) {
+        case "integer":
+          return Number.isInteger(value);
+        case "number":
+          return typeof value === "number" && Number.isFinite(value);
+        case "array":
+          return Array.isArray(value);
+        case "object":
+          return typeof value === "object" && value !== null && !Array.isArray(value);
+        default:
+          return typeof value === type;
+      }
+    }
+
+    function matchesFormat(format, value) {
+      switch (format) {
+        case "date":
+          return isIsoDate(value);
+        case "date-time":
+          return (
+            /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) &&
+            isIsoDate(value.slice(0, 10)) &&
+            !Number.isNaN(Date.parse(value))
+          );
+        case "uri":
+          try {
+            return ["http:", "https:"].includes(new URL(value).protocol);
+          } catch {
+            return false;
+          }
+        default:
+          return true;
+      }
+    }
+
+    // What a schema accepts, in the short form reported as `expected`, e.g. "integer, >= 1, <= 25"
+    function describeSchema(schema) {
+      if (schema.enum) return `one of: ${schema.enum.join(", ")}`;
+
+      const FORMAT_HINTS = { date: "YYYY-MM-DD", "date-time": "ISO 8601 date-time", uri: "http(s) URL" };
+      const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+      const parts = [schema.format ? `${schema.type} (${FORMAT_HINTS[schema.format] ?? schema.format})` : schema.type ?? "any"];
+
+      if (schema.pattern) parts.push(`matching ${schema.pattern}`);
+      if (schema.minLength) parts.push(`at least ${plural(schema.minLength, "character")}`);
+      if (schema.exclusiveMinimum !== undefined) parts.push(`> ${schema.exclusiveMinimum}`);
+      if (schema.minimum !== undefined) parts.push(`>= ${schema.minimum}`);
+      if (schema.maximum !== undefined) parts.push(`<= ${schema.maximum}`);
+      if (schema.minItems !== undefined) parts.push(`at least ${plural(schema.minItems, "item")}`);
+      if (schema.maxItems !== undefined) parts.push(`at most ${plural(schema.maxItems, "item")}`);
+      if (schema.nullable) parts.push("or null");
+      return parts.join(", ");
+    }
+
+    // ============================================================
+    // Pass-through for other /api/* routes
+    // ============================================================
+    async function passThrough() {
+      if (!url.pathname.startsWith("/api/")) {
+        return jsonError(404, { error: "not_found", path: url.pathname });
+      }
+
+      // Encoded or doubled separators could make Grocy route a path differently from the
+      // one checked here, so only canonical paths are forwarded.
+      const matchPath = url.pathname.toLowerCase();
+      if (/%2f|%5c|\\|\/\//.test(matchPath)) {
+        return jsonError(403, { error: "passthrough_blocked", reason: "non_canonical_path", method: req.method, path: url.pathname });
+      }
+      if (!matchesRouteRule(PASSTHROUGH_ALLOW, req.method, matchPath)) {
+        return jsonError(403, { error: "passthrough_blocked", reason: "not_allowed", method: req.method, path: url.pathname });
+      }
+      if (matchesRouteRule(PASSTHROUGH_DENY, req.method, matchPath)) {
+        return jsonError(403, { error: "passthrough_blocked", reason: "denied", method: req.method, path: url.pathname });
+      }
+
+      const body = req.method === "GET" || req.method === "HEAD" ? undefined : await req.text();
+
+      // IMPORTANT: preserve query string
+      const upstreamUrl = upstreamBase + url.pathname + url.search;
+
+      const upstreamReq = new Request(upstreamUrl, {
+        method: req.method,
+        body,
+        headers: upstreamJsonHeaders,
+        redirect: "manual"
+      });
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), 8000);
+
+      let resp;
+      try {
+        resp = await fetch(upstreamReq, { signal: controller.signal });
+      } catch (err) {
+        return err?.name === "AbortError"
+          ? jsonError(504, { error: "upstream_timeout", timeout_ms: 8000 })
+          : upstreamError({ error: "upstream_unreachable" });
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      const ct = resp.headers.get("content-type") || "";
+      if (resp.status === 302 || (ct.includes("text/html") && !ct.includes("application/json"))) {
+        await resp.body?.cancel();
+        return jsonError(502, { error: "upstream_auth_failed", upstream: { status: resp.status, error: null } });
+      }
+
+      // Grocy's own errors get the envelope too. Its 4xx are about the request and keep their
+      // status; anything else is a bad gateway from the client's point of view.
+      if (resp.status >= 400) {
+        const upstream = await describeUpstreamFailure(lastUpstreamFailure);
+        return jsonError(resp.status < 500 ? resp.status : 502, { error: "upstream_error", upstream });
+      }
+
+      const tooLarge = () =>
+        jsonError(502, { error: "upstream_response_too_large", limit_bytes: PASSTHROUGH_MAX_BYTES });
+
+      if (Number(resp.headers.get("content-length") || 0) > PASSTHROUGH_MAX_BYTES) {
+        await resp.body?.cancel();
+        return tooLarge();
+      }
+
+      // Content-Length can be missing (chunked), so the limit is enforced while reading too
+      const chunks = [];
+      let received = 0;
+      if (resp.body && req.method !== "HEAD") {
+        const reader = resp.body.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          received += value.byteLength;
+          if (received > PASSTHROUGH_MAX_BYTES) {
+            await reader.cancel();
+            return tooLarge();
+          }
+          chunks.push(value);
+        }
+      }
+
+      const headers = new Headers({ "X-Request-Id": requestId });
+      for (const name of PASSTHROUGH_RESPONSE_HEADERS) {
+        const value = resp.headers.get(name);
+        if (value !== null) headers.set(name, value);
+      }
+
+      return new Response(req.method === "HEAD" || resp.status === 204 ? null : new Blob(chunks), {
+        status: resp.status,
+        headers
+      });
+    }
+  }
+};
+
+// ============================================================
+// Route table: dispatch, scopes and the generated OpenAPI document all come from here.
+// `doc` is the OpenAPI operation; auth, scope, rate-limit and idempotency parts are
+// added by openApiDocument() for every route. The handler for a route is looked up by
+// its operationId in HANDLERS inside fetch().
+// ============================================================
+function routeTable() {
+  return [
+    // Stock
+    {
+      method: "GET",
+      path: "/api/enriched/stock",
+      scope: "read",
+      doc: {
+        summary: "Get inventory (enriched)",
+        description:
+          "Returns one page of stock entries (one row per stock entry) with product and " +
+          "location names. At most 25 rows are returned per page; total reports how many " +
+          "rows match and next_cursor fetches the next page.",
+        operationId: "getStock",
+        parameters: [
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", default: 25, minimum: 1, maximum: 25 }
+          },
+          {
+            name: "cursor",
+            in: "query",
+            schema: { type: "string" },
+            description: "next_cursor from the previous page."
+          },
+          {
+            name: "offset",
+            in: "query",
+            schema: { type: "integer", minimum: 0 },
+            description: "Alternative to cursor."
+          },
+          {
+            name: "location",
+            in: "query",
+            schema: { type: "string" },
+            description: "Only stock at this location (name)."
+          },
+          {
+            name: "product_group",
+            in: "query",
+            schema: { type: "string" },
+            description: "Only products in this product group (name)."
+          },
+          {
+            name: "q",
+            in: "query",
+            schema: { type: "string" },
+            description: "Only products fuzzy-matching this name."
+          },
+          {
+            name: "due_within_days",
+            in: "query",
+            schema: { type: "integer", minimum: 0 },
+            description:
+              "Only entries whose best-before date is within N days, including already " +
+              "expired ones."
+          },
+          {
+            name: "sort",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["name", "best_before", "amount"],
+              default: "name"
+            }
+          },
+          {
+            name: "order",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["asc", "desc"],
+              default: "asc"
+            }
+          }
+        ],
+        responses: {
+          "200": { $ref: "#/components/responses/EnrichedStockResponse" },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "GET",
+      path: "/api/enriched/stock/summary",
+      scope: "read",
+      doc: {
+        summary: "Get inventory per product (enriched)",
+        description:
+          "Returns one row per product with the total amount and stock unit, the amount " +
+          "per location, the nearest best-before date, the opened amount and whether the " +
+          "product is below its minimum stock amount. Paginated like /api/enriched/stock " +
+          "(25 rows per page).",
+        operationId: "getStockSummary",
+        parameters: [
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", default: 25, minimum: 1, maximum: 25 }
+          },
+          {
+            name: "cursor",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "offset",
+            in: "query",
+            schema: { type: "integer", minimum: 0 }
+          },
+          {
+            name: "location",
+            in: "query",
+            schema: { type: "string" },
+            description: "Only products with stock at this location (name)."
+          },
+          {
+            name: "product_group",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "q",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "sort",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["name", "best_before", "amount"],
+              default: "name"
+            }
+          },
+          {
+            name: "order",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["asc", "desc"],
+              default: "asc"
+            }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Per-product inventory retrieved",
+            content: {
+              "application/json": {
+                schema: {
+                  allOf: [
+                    {
+                      type: "object",
+                      properties: {
+                        items: {
+                          type: "array",
+                          maxItems: 25,
+                          items: { $ref: "#/components/schemas/EnrichedStockSummaryItem" }
+                        }
+                      },
+                      required: ["items"]
+                    },
+                    { $ref: "#/components/schemas/PageInfo" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "GET",
+      path: "/api/enriched/stock/expiring",
+      scope: "read",
+      doc: {
+        summary: "Get stock that is due soon, overdue or expired",
+        description:
+          "Returns stock entries Grocy flags as due soon, overdue or expired, with " +
+          "product and location names, amount in the stock unit and days remaining. Use " +
+          "this to plan meals around food that needs using up. counts cover all matching " +
+          "entries, not just the current page.",
+        operationId: "getExpiringStock",
+        parameters: [
+          {
+            name: "days",
+            in: "query",
+            schema: { type: "integer", default: 7, minimum: 0, maximum: 90 },
+            description: "Horizon for \"due soon\", in days from today."
+          },
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", default: 50, minimum: 1, maximum: 50 }
+          },
+          {
+            name: "cursor",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "offset",
+            in: "query",
+            schema: { type: "integer", minimum: 0 },
+            description: "Alternative to cursor."
+          },
+          {
+            name: "sort",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["best_before", "name"],
+              default: "best_before"
+            }
+          },
+          {
+            name: "order",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["asc", "desc"],
+              default: "asc"
+            }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Expiring stock retrieved",
+            content: {
+              "application/json": {
+                schema: {
+                  allOf: [
+                    {
+                      type: "object",
+                      properties: {
+                        horizon_days: { type: "integer" },
+                        counts: {
+                          type: "object",
+                          properties: {
+                            due_soon: { type: "integer" },
+                            overdue: { type: "integer" },
+                            expired: { type: "integer" }
+                          }
+                        },
+                        items: {
+                          type: "array",
+                          maxItems: 50,
+                          items: { $ref: "#/components/schemas/EnrichedExpiringItem" }
+                        }
+                      },
+                      required: ["horizon_days", "counts", "items"]
+                    },
+                    { $ref: "#/components/schemas/PageInfo" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/stock/add",
+      scope: "stock-write",
+      invalidates: ["stock_product"],
+      doc: {
+        summary: "Add inventory (enriched)",
+        "x-stop-on-ambiguity": true,
+        description:
+          "Adds inventory using a fuzzy product name match. If multiple products match, " +
+          "the client must stop and request clarification from the user.\n" +
+          "When a unit is given, the amount is converted to the product's stock unit " +
+          "using Grocy's quantity unit conversions. If no conversion exists, " +
+          "unit_not_convertible is returned and nothing is booked.\n" +
+          "The store name is fuzzy-matched against Grocy stores and the price is " +
+          "recorded against that store. An unknown or ambiguous store stops the request " +
+          "like an ambiguous product does.\n" +
+          "With dry_run: true every name, unit and store is resolved and the exact " +
+          "interpreted_as payload is returned (status would_add), but nothing is booked. " +
+          "Confirm with the user, then repeat without dry_run.",
+        operationId: "addStock",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  product: { type: "string", minLength: 1 },
+                  amount: { type: "number", exclusiveMinimum: 0 },
+                  unit: {
+                    type: "string",
+                    description:
+                      "Unit the amount is given in (e.g. \"Pack\", \"kg\"). Defaults to the product's " +
+                      "stock unit."
+                  },
+                  price: {
+                    type: "number",
+                    minimum: 0,
+                    description: "Price per unit the amount is given in."
+                  },
+                  store: {
+                    type: "string",
+                    description: "Store name (fuzzy matched) the item was bought at."
+                  },
+                  purchased_at: { type: "string", format: "date" },
+                  best_before_date: { type: "string", format: "date" },
+                  dry_run: {
+                    type: "boolean",
+                    default: false,
+                    description:
+                      "Resolve everything and return the would-be result without writing to Grocy."
+                  }
+                },
+                required: ["product", "amount"]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Inventory added (or previewed with dry_run)",
+            content: {
+              "application/json": {
+                schema: {
+                  allOf: [
+                    {
+                      type: "object",
+                      properties: {
+                        status: {
+                          type: "string",
+                          enum: ["added", "would_add"]
+                        },
+                        dry_run: { type: "boolean" }
+                      },
+                      required: ["status", "dry_run"]
+                    },
+                    { $ref: "#/components/schemas/EnrichedStockAddResult" }
+                  ]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Product or unit resolution failed",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/ProductNotFound" },
+                    { $ref: "#/components/schemas/MultipleProducts" },
+                    { $ref: "#/components/schemas/InvalidQuantityUnit" },
+                    { $ref: "#/components/schemas/UnitNotConvertible" },
+                    { $ref: "#/components/schemas/StoreNotFound" },
+                    { $ref: "#/components/schemas/MultipleStores" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/stock/add/bulk",
+      scope: "stock-write",
+      invalidates: ["stock_product"],
+      lines: "items",
+      doc: {
+        summary: "Add inventory in bulk",
+        "x-stop-on-ambiguity": true,
+        description:
+          "Adds multiple inventory items in a single request. Each line is processed " +
+          "independently. Partial success is expected and normal. Maximum of 25 items " +
+          "are processed per request.\n" +
+          "store and purchased_at apply to every line. An unknown or ambiguous store " +
+          "rejects the whole request before anything is booked.\n" +
+          "With dry_run: true the response has status preview and lines are would_add " +
+          "instead of added; nothing is booked.",
+        operationId: "addStockBulk",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  store: {
+                    type: "string",
+                    description: "Store name (fuzzy matched) for every line."
+                  },
+                  purchased_at: { type: "string", format: "date" },
+                  dry_run: {
+                    type: "boolean",
+                    default: false,
+                    description:
+                      "Resolve everything and return the would-be result without writing to Grocy."
+                  },
+                  items: {
+                    type: "array",
+                    minItems: 1,
+                    maxItems: 25,
+                    items: {
+                      type: "object",
+                      properties: {
+                        line: { type: "integer" },
+                        product: { type: "string", minLength: 1 },
+                        amount: { type: "number", exclusiveMinimum: 0 },
+                        unit: { type: "string" },
+                        best_before_date: { type: "string", format: "date" },
+                        price: { type: "number", minimum: 0 }
+                      },
+                      required: ["product", "amount"]
+                    }
+                  }
+                },
+                required: ["items"]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Bulk add processed",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["completed", "preview"]
+                    },
+                    dry_run: { type: "boolean" },
+                    batch_id: {
+                      type: "string",
+                      nullable: true,
+                      description:
+                        "Identifies every booking made by this request; pass it to " +
+                        "/api/enriched/stock/undo to revert them together. Null when nothing was " +
+                        "booked."
+                    },
+                    summary: {
+                      type: "object",
+                      properties: {
+                        total: { type: "integer" },
+                        added: { type: "integer" },
+                        would_add: {
+                          type: "integer",
+                          description: "Lines that a dry run would add; 0 when not a dry run."
+                        },
+                        errors: { type: "integer" }
+                      }
+                    },
+                    results: {
+                      type: "array",
+                      items: { type: "object", additionalProperties: true }
+                    }
+                  },
+                  required: ["status", "summary", "results"]
+                },
+                examples: {
+                  mixed_result: {
+                    summary: "Some items added, some failed",
+                    value: {
+                      status: "completed",
+                      summary: { total: 3, added: 2, errors: 1 },
+                      results: [
+                        {
+                          line: 1,
+                          status: "added",
+                          product: { id: 12, name: "Milk" }
+                        },
+                        {
+                          line: 2,
+                          status: "error",
+                          error: "multiple_products",
+                          candidates: [
+                            { id: 8, name: "Cream" },
+                            { id: 9, name: "Cooking Cream" }
+                          ]
+                        },
+                        {
+                          line: 3,
+                          status: "added",
+                          product: { id: 5, name: "Bread" }
+                        }
+                      ]
+                    }
+                  }
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/stock/add/barcode",
+      scope: "stock-write",
+      invalidates: ["stock_product"],
+      doc: {
+        summary: "Add inventory by barcode",
+        description:
+          "Adds inventory for a scanned barcode, using Grocy's product barcodes. Each scan " +
+          "books the barcode's own amount in the barcode's own unit (converted to the stock " +
+          "unit like unit in /api/enriched/stock/add); count is the number of scans.\n" +
+          "The store stored with the barcode is used unless store is given.\n" +
+          "An unknown barcode returns barcode_not_found with a suggestion from the external " +
+          "lookup, when one is configured. Offer to create the product with " +
+          "/api/enriched/products/create (passing the barcode), then repeat.\n" +
+          "The response has the shape of /api/enriched/stock/add plus the barcode used.",
+        operationId: "addStockByBarcode",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  barcode: { type: "string", minLength: 1 },
+                  count: {
+                    type: "integer",
+                    minimum: 1,
+                    default: 1,
+                    description: "How many times the barcode was scanned."
+                  },
+                  price: {
+                    type: "number",
+                    minimum: 0,
+                    description: "Price per scanned item."
+                  },
+                  store: {
+                    type: "string",
+                    description:
+                      "Store name (fuzzy matched). Defaults to the store stored with the barcode."
+                  },
+                  purchased_at: { type: "string", format: "date" },
+                  best_before_date: { type: "string", format: "date" },
+                  dry_run: {
+                    type: "boolean",
+                    default: false,
+                    description:
+                      "Resolve everything and return the would-be result without writing to Grocy."
+                  }
+                },
+                required: ["barcode"]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Inventory added (or previewed with dry_run)",
+            content: {
+              "application/json": {
+                schema: {
+                  allOf: [
+                    {
+                      type: "object",
+                      properties: {
+                        status: {
+                          type: "string",
+                          enum: ["added", "would_add"]
+                        },
+                        dry_run: { type: "boolean" },
+                        barcode: { $ref: "#/components/schemas/ScannedBarcode" }
+                      },
+                      required: ["status", "dry_run", "barcode"]
+                    },
+                    { $ref: "#/components/schemas/EnrichedStockAddResult" }
+                  ]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Barcode, unit or store resolution failed",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/BarcodeNotFound" },
+                    { $ref: "#/components/schemas/UnitNotConvertible" },
+                    { $ref: "#/components/schemas/StoreNotFound" },
+                    { $ref: "#/components/schemas/MultipleStores" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/stock/consume",
+      scope: "stock-write",
+      invalidates: ["stock_product"],
+      doc: {
+        summary: "Consume inventory (enriched)",
+        "x-stop-on-ambiguity": true,
+        description:
+          "Removes inventory using a fuzzy product name match. Exactly one of amount (in " +
+          "the stock unit) or consume_all must be given. If multiple products match, the " +
+          "client must stop and request clarification from the user. The response " +
+          "reports the amount left in stock afterwards.",
+        operationId: "consumeStock",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ConsumeLine" }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Inventory consumed",
+            content: {
+              "application/json": {
+                schema: {
+                  allOf: [
+                    {
+                      type: "object",
+                      properties: {
+                        status: {
+                          type: "string",
+                          enum: ["consumed"]
+                        }
+                      },
+                      required: ["status"]
+                    },
+                    { $ref: "#/components/schemas/EnrichedConsumeResult" }
+                  ]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Product resolution failed or not enough stock",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/ProductNotFound" },
+                    { $ref: "#/components/schemas/MultipleProducts" },
+                    { $ref: "#/components/schemas/InsufficientStock" },
+                    { $ref: "#/components/schemas/NotInStock" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/stock/consume/bulk",
+      scope: "stock-write",
+      invalidates: ["stock_product"],
+      lines: "items",
+      doc: {
+        summary: "Consume inventory in bulk",
+        "x-stop-on-ambiguity": true,
+        description:
+          "Consumes multiple inventory items in a single request. Each line is processed " +
+          "independently and in order. Partial success is expected and normal. Maximum " +
+          "of 25 items are processed per request.",
+        operationId: "consumeStockBulk",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  items: {
+                    type: "array",
+                    minItems: 1,
+                    maxItems: 25,
+                    items: {
+                      allOf: [
+                        {
+                          type: "object",
+                          properties: {
+                            line: { type: "integer" }
+                          }
+                        },
+                        { $ref: "#/components/schemas/ConsumeLine" }
+                      ]
+                    }
+                  }
+                },
+                required: ["items"]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Bulk consume processed",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["completed"]
+                    },
+                    batch_id: {
+                      type: "string",
+                      nullable: true,
+                      description:
+                        "Identifies every booking made by this request; pass it to " +
+                        "/api/enriched/stock/undo to revert them together. Null when nothing was " +
+                        "booked."
+                    },
+                    summary: {
+                      type: "object",
+                      properties: {
+                        total: { type: "integer" },
+                        consumed: { type: "integer" },
+                        errors: { type: "integer" }
+                      }
+                    },
+                    results: {
+                      type: "array",
+                      items: { type: "object", additionalProperties: true }
+                    }
+                  },
+                  required: ["status", "summary", "results"]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/stock/consume/barcode",
+      scope: "stock-write",
+      invalidates: ["stock_product"],
+      doc: {
+        summary: "Consume inventory by barcode",
+        description:
+          "Removes inventory for a scanned barcode, using Grocy's product barcodes. Each " +
+          "scan consumes the barcode's own amount in the barcode's own unit, converted to " +
+          "the stock unit; count is the number of scans. With consume_all, everything in " +
+          "stock is consumed and count is ignored.\n" +
+          "The response has the shape of /api/enriched/stock/consume plus the barcode used.",
+        operationId: "consumeStockByBarcode",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  barcode: { type: "string", minLength: 1 },
+                  count: {
+                    type: "integer",
+                    minimum: 1,
+                    default: 1,
+                    description: "How many times the barcode was scanned."
+                  },
+                  consume_all: {
+                    type: "boolean",
+                    description: "Consume everything in stock (at the given location, if any)."
+                  },
+                  spoiled: {
+                    type: "boolean",
+                    description: "Book the consumption as spoiled / thrown away."
+                  },
+                  location: {
+                    type: "string",
+                    description: "Location name to consume from. Defaults to any location."
+                  }
+                },
+                required: ["barcode"]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Inventory consumed",
+            content: {
+              "application/json": {
+                schema: {
+                  allOf: [
+                    {
+                      type: "object",
+                      properties: {
+                        status: {
+                          type: "string",
+                          enum: ["consumed"]
+                        },
+                        barcode: { $ref: "#/components/schemas/ScannedBarcode" }
+                      },
+                      required: ["status", "barcode"]
+                    },
+                    { $ref: "#/components/schemas/EnrichedConsumeResult" }
+                  ]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Barcode resolution failed or not enough stock",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/BarcodeNotFound" },
+                    { $ref: "#/components/schemas/UnitNotConvertible" },
+                    { $ref: "#/components/schemas/InsufficientStock" },
+                    { $ref: "#/components/schemas/NotInStock" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/stock/undo",
+      scope: "stock-write",
+      invalidates: ["stock_product"],
+      doc: {
+        summary: "Undo stock bookings",
+        description:
+          "Reverts stock bookings made through the enriched API. Pass exactly one of " +
+          "transaction_id, transaction_ids (max 25) or batch_id from a bulk add/consume " +
+          "response. Each transaction is undone independently and reported per line. " +
+          "Batch ids are kept for 24 hours by default.",
+        operationId: "undoStock",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  transaction_id: { type: "string", minLength: 1 },
+                  transaction_ids: {
+                    type: "array",
+                    minItems: 1,
+                    maxItems: 25,
+                    items: { type: "string", minLength: 1 }
+                  },
+                  batch_id: { type: "string", minLength: 1 }
+                },
+                oneOf: [
+                  { required: ["transaction_id"] },
+                  { required: ["transaction_ids"] },
+                  { required: ["batch_id"] }
+                ]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Undo processed",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["completed"]
+                    },
+                    batch_id: { type: "string", nullable: true },
+                    summary: {
+                      type: "object",
+                      properties: {
+                        total: { type: "integer" },
+                        undone: { type: "integer" },
+                        errors: { type: "integer" }
+                      }
+                    },
+                    results: {
+                      type: "array",
+                      items: { $ref: "#/components/schemas/EnrichedUndoLine" }
+                    }
+                  },
+                  required: ["status", "summary", "results"]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Invalid request or unknown batch",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    error: {
+                      type: "string",
+                      enum: ["invalid_request", "batch_not_found"]
+                    },
+                    batch_id: { type: "string" }
+                  },
+                  required: ["error"]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+
+    // Shopping list
+    {
+      method: "GET",
+      path: "/api/enriched/shopping_list",
+      scope: "read",
+      doc: {
+        summary: "Get shopping list (enriched)",
+        description:
+          "Returns one page (at most 50 items) of a shopping list with pricing context. " +
+          "total reports how many items match and next_cursor fetches the next page.",
+        operationId: "getShoppingList",
+        parameters: [
+          {
+            name: "list_id",
+            in: "query",
+            schema: { type: "integer" }
+          },
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", default: 50, minimum: 1, maximum: 50 }
+          },
+          {
+            name: "cursor",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "offset",
+            in: "query",
+            schema: { type: "integer", minimum: 0 }
+          },
+          {
+            name: "product_group",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "q",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "sort",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["name", "amount"],
+              default: "name"
+            }
+          },
+          {
+            name: "order",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["asc", "desc"],
+              default: "asc"
+            }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Shopping list retrieved",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/EnrichedShoppingList" },
+                    { $ref: "#/components/schemas/MultipleShoppingLists" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/shopping_list/add",
+      scope: "shopping-list-write",
+      doc: {
+        summary: "Add item to shopping list (enriched)",
+        "x-stop-on-ambiguity": true,
+        description:
+          "With dry_run: true the product and list are resolved and the would-be item is " +
+          "returned (status would_add) without adding it.",
+        operationId: "addToShoppingList",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  product: { type: "string", minLength: 1 },
+                  amount: { type: "number", exclusiveMinimum: 0 },
+                  note: { type: "string" },
+                  shopping_list_id: { type: "integer" },
+                  dry_run: {
+                    type: "boolean",
+                    default: false,
+                    description:
+                      "Resolve everything and return the would-be result without writing to Grocy."
+                  }
+                },
+                required: ["product", "amount"]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Item added (or previewed with dry_run)",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["added", "would_add"]
+                    },
+                    dry_run: { type: "boolean" },
+                    list: {
+                      type: "object",
+                      properties: {
+                        id: { type: "integer" },
+                        name: { type: "string" }
+                      }
+                    },
+                    item: {
+                      type: "object",
+                      properties: {
+                        product_id: { type: "integer" },
+                        product_name: { type: "string" },
+                        amount: { type: "number" },
+                        note: { type: "string", nullable: true }
+                      }
+                    }
+                  },
+                  required: ["status", "dry_run", "list", "item"]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Product resolution failed",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/ProductNotFound" },
+                    { $ref: "#/components/schemas/MultipleProducts" },
+                    { $ref: "#/components/schemas/MultipleShoppingLists" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/shopping_list/add/bulk",
+      scope: "shopping-list-write",
+      lines: "items",
+      doc: {
+        summary: "Add items to shopping list in bulk",
+        "x-stop-on-ambiguity": true,
+        description:
+          "Adds multiple items to one shopping list in a single request. The list is " +
+          "resolved once; several lists without shopping_list_id return multiple_lists " +
+          "and nothing is added. Each line is processed independently and partial " +
+          "success is normal. A product already open on the list has its amount increased " +
+          "(status merged) instead of getting a second row; checked-off rows are never " +
+          "merged into. Maximum of 25 items are " +
+          "processed per request.\n" +
+          "With dry_run: true the response has status preview and lines are would_add / " +
+          "would_merge; nothing is written.",
+        operationId: "addToShoppingListBulk",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  shopping_list_id: { type: "integer" },
+                  dry_run: {
+                    type: "boolean",
+                    default: false,
+                    description:
+                      "Resolve everything and return the would-be result without writing to Grocy."
+                  },
+                  items: {
+                    type: "array",
+                    minItems: 1,
+                    maxItems: 25,
+                    items: {
+                      type: "object",
+                      properties: {
+                        line: { type: "integer" },
+                        product: { type: "string", minLength: 1 },
+                        amount: { type: "number", exclusiveMinimum: 0 },
+                        note: { type: "string" }
+                      },
+                      required: ["product", "amount"]
+                    }
+                  }
+                },
+                required: ["items"]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Bulk add processed",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["completed", "preview"]
+                    },
+                    dry_run: { type: "boolean" },
+                    list: {
+                      type: "object",
+                      properties: {
+                        id: { type: "integer" },
+                        name: { type: "string" }
+                      }
+                    },
+                    summary: {
+                      type: "object",
+                      properties: {
+                        total: { type: "integer" },
+                        added: { type: "integer" },
+                        merged: { type: "integer" },
+                        would_add: {
+                          type: "integer",
+                          description: "Lines that a dry run would add; 0 when not a dry run."
+                        },
+                        would_merge: {
+                          type: "integer",
+                          description: "Lines that a dry run would merge; 0 when not a dry run."
+                        },
+                        errors: { type: "integer" }
+                      }
+                    },
+                    results: {
+                      type: "array",
+                      items: { type: "object", additionalProperties: true }
+                    }
+                  },
+                  required: ["status", "list", "summary", "results"]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "List resolution failed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/MultipleShoppingLists" }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/shopping_list/restock",
+      scope: "shopping-list-write",
+      doc: {
+        summary: "Put below-minimum products on a shopping list",
+        description:
+          "Lists every product below its minimum stock amount with the amount missing, " +
+          "the amount already on the list, the last store and an estimated cost from the " +
+          "last purchase price. Without confirm (the default) nothing is written: show " +
+          "the preview to the user first, then repeat the call with confirm=true to add " +
+          "the to_add amounts to the list. Estimated costs are informational only. At " +
+          "most 50 products are returned.",
+        operationId: "restockShoppingList",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  shopping_list_id: { type: "integer" },
+                  confirm: { type: "boolean", default: false }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Restock preview or result",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["preview", "applied"]
+                    },
+                    list: {
+                      type: "object",
+                      properties: {
+                        id: { type: "integer" },
+                        name: { type: "string" }
+                      }
+                    },
+                    summary: {
+                      type: "object",
+                      properties: {
+                        below_minimum: { type: "integer" },
+                        to_add: { type: "integer" },
+                        added: { type: "integer" },
+                        already_listed: { type: "integer" },
+                        errors: { type: "integer" },
+                        estimated_total: { type: "number" },
+                        lines_without_price: { type: "integer" }
+                      }
+                    },
+                    lines: {
+                      type: "array",
+                      maxItems: 50,
+                      items: {
+                        type: "object",
+                        properties: {
+                          product_id: { type: "integer" },
+                          product_name: { type: "string" },
+                          min_stock_amount: { type: "number" },
+                          missing_amount: { type: "number" },
+                          already_listed: { type: "number" },
+                          to_add: { type: "number" },
+                          unit: { type: "string", nullable: true },
+                          last_store: { type: "string", nullable: true },
+                          last_price_per_price_unit: { type: "number", nullable: true },
+                          price_unit: { type: "string", nullable: true },
+                          estimated_cost: { type: "number", nullable: true },
+                          status: {
+                            type: "string",
+                            enum: ["to_add", "added", "already_listed", "error"]
+                          }
+                        }
+                      }
+                    }
+                  },
+                  required: ["status", "list", "summary", "lines"]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "List resolution failed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/MultipleShoppingLists" }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/shopping_list/update",
+      scope: "shopping-list-write",
+      doc: {
+        summary: "Change amount or note of a shopping list item",
+        "x-stop-on-ambiguity": true,
+        operationId: "updateShoppingListItem",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                allOf: [
+                  { $ref: "#/components/schemas/ShoppingListItemRef" },
+                  {
+                    type: "object",
+                    properties: {
+                      amount: { type: "number", exclusiveMinimum: 0 },
+                      note: { type: "string" }
+                    }
+                  }
+                ]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Item updated",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/EnrichedShoppingListItemChange" }
+              }
+            }
+          },
+          "400": {
+            description: "Item or list resolution failed",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/ShoppingListItemError" },
+                    { $ref: "#/components/schemas/MultipleProducts" },
+                    { $ref: "#/components/schemas/MultipleShoppingLists" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/shopping_list/done",
+      scope: "shopping-list-write",
+      doc: {
+        summary: "Tick off a shopping list item",
+        "x-stop-on-ambiguity": true,
+        description: "Marks an item as done (or not done with done=false).",
+        operationId: "markShoppingListItemDone",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                allOf: [
+                  { $ref: "#/components/schemas/ShoppingListItemRef" },
+                  {
+                    type: "object",
+                    properties: {
+                      done: { type: "boolean", default: true }
+                    }
+                  }
+                ]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Item updated",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/EnrichedShoppingListItemChange" }
+              }
+            }
+          },
+          "400": {
+            description: "Item or list resolution failed",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/ShoppingListItemError" },
+                    { $ref: "#/components/schemas/MultipleProducts" },
+                    { $ref: "#/components/schemas/MultipleShoppingLists" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/shopping_list/remove",
+      scope: "shopping-list-write",
+      doc: {
+        summary: "Remove an item from a shopping list",
+        "x-stop-on-ambiguity": true,
+        operationId: "removeShoppingListItem",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ShoppingListItemRef" }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Item removed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/EnrichedShoppingListItemChange" }
+              }
+            }
+          },
+          "400": {
+            description: "Item or list resolution failed",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/ShoppingListItemError" },
+                    { $ref: "#/components/schemas/MultipleProducts" },
+                    { $ref: "#/components/schemas/MultipleShoppingLists" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/shopping_list/clear",
+      scope: "shopping-list-write",
+      doc: {
+        summary: "Clear a shopping list",
+        description:
+          "Removes done items (the default). Set done_only to false to empty the whole " +
+          "list; only do this when the user explicitly asked for it.",
+        operationId: "clearShoppingList",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  shopping_list_id: { type: "integer" },
+                  done_only: { type: "boolean", default: true }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "List cleared",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["cleared"]
+                    },
+                    list: {
+                      type: "object",
+                      properties: {
+                        id: { type: "integer" },
+                        name: { type: "string" }
+                      }
+                    },
+                    done_only: { type: "boolean" },
+                    removed: { type: "integer" },
+                    remaining: { type: "integer" }
+                  },
+                  required: ["status", "list", "done_only", "removed"]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "List resolution failed",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/MultipleShoppingLists" }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+
+    // Recipes
+    {
+      method: "GET",
+      path: "/api/enriched/recipes/search",
+      scope: "read",
+      doc: {
+        summary: "Search recipes by name",
+        operationId: "searchRecipes",
+        parameters: [
+          {
+            name: "q",
+            in: "query",
+            required: true,
+            schema: { type: "string" }
+          },
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", default: 5, minimum: 1, maximum: 10 }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Recipe search results",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    query: { type: "string" },
+                    decisive: { type: "boolean" },
+                    matches: {
+                      type: "array",
+                      maxItems: 10,
+                      items: {
+                        type: "object",
+                        properties: {
+                          id: { type: "integer" },
+                          name: { type: "string" },
+                          servings: { type: "number", nullable: true },
+                          confidence: { type: "number", minimum: 0, maximum: 1 }
+                        },
+                        required: ["id", "name", "confidence"]
+                      }
+                    }
+                  },
+                  required: ["query", "matches"]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "GET",
+      path: "/api/enriched/recipes/cookable",
+      scope: "read",
+      doc: {
+        summary: "List recipes that can be cooked with current stock",
+        description:
+          "Uses Grocy's recipe fulfillment. By default only recipes with every " +
+          "ingredient in stock are returned; raise max_missing to include recipes " +
+          "missing a few ingredients. At most 25 recipes per page.",
+        operationId: "getCookableRecipes",
+        parameters: [
+          {
+            name: "max_missing",
+            in: "query",
+            schema: { type: "integer", default: 0, minimum: 0 }
+          },
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", default: 25, minimum: 1, maximum: 25 }
+          },
+          {
+            name: "cursor",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "offset",
+            in: "query",
+            schema: { type: "integer", minimum: 0 },
+            description: "Alternative to cursor."
+          },
+          {
+            name: "sort",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["missing", "name"],
+              default: "missing"
+            }
+          },
+          {
+            name: "order",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["asc", "desc"],
+              default: "asc"
+            }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Cookable recipes",
+            content: {
+              "application/json": {
+                schema: {
+                  allOf: [
+                    {
+                      type: "object",
+                      properties: {
+                        max_missing: { type: "integer" },
+                        items: {
+                          type: "array",
+                          maxItems: 25,
+                          items: {
+                            type: "object",
+                            properties: {
+                              recipe_id: { type: "integer" },
+                              name: { type: "string" },
+                              servings: { type: "number", nullable: true },
+                              cookable: { type: "boolean" },
+                              cookable_with_shopping_list: { type: "boolean" },
+                              missing_ingredients: { type: "integer" }
+                            }
+                          }
+                        }
+                      },
+                      required: ["items"]
+                    },
+                    { $ref: "#/components/schemas/PageInfo" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "GET",
+      path: "/api/enriched/recipes/detail",
+      scope: "read",
+      doc: {
+        summary: "Get a recipe with its ingredients",
+        "x-stop-on-ambiguity": true,
+        description:
+          "Returns a recipe with ingredient names, amounts and units resolved, plus what " +
+          "is in stock and what is missing. Pass recipe (fuzzy name) or recipe_id.",
+        operationId: "getRecipeDetail",
+        parameters: [
+          {
+            name: "recipe",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "recipe_id",
+            in: "query",
+            schema: { type: "integer" }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Recipe detail",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    recipe: {
+                      type: "object",
+                      properties: {
+                        id: { type: "integer" },
+                        name: { type: "string" },
+                        servings: { type: "number", nullable: true },
+                        description: { type: "string", nullable: true }
+                      }
+                    },
+                    cookable: { type: "boolean" },
+                    missing_ingredients: { type: "integer" },
+                    ingredients: {
+                      type: "array",
+                      items: { $ref: "#/components/schemas/EnrichedRecipeIngredient" }
+                    }
+                  },
+                  required: ["recipe", "cookable", "ingredients"]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Recipe resolution failed",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/RecipeNotFound" },
+                    { $ref: "#/components/schemas/MultipleRecipes" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/recipes/add_missing",
+      scope: "shopping-list-write",
+      doc: {
+        summary: "Put a recipe's missing ingredients on a shopping list",
+        "x-stop-on-ambiguity": true,
+        description:
+          "Adds the missing amount of every unfulfilled ingredient to a shopping list, " +
+          "minus what is already on that list. The list is selected like in " +
+          "/api/enriched/shopping_list/add.",
+        operationId: "addMissingRecipeIngredients",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  recipe: { type: "string" },
+                  recipe_id: { type: "integer" },
+                  shopping_list_id: { type: "integer" }
+                },
+                anyOf: [{ required: ["recipe"] }, { required: ["recipe_id"] }]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Missing ingredients processed",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["completed"]
+                    },
+                    recipe: {
+                      type: "object",
+                      properties: {
+                        id: { type: "integer" },
+                        name: { type: "string" }
+                      }
+                    },
+                    list: {
+                      type: "object",
+                      properties: {
+                        id: { type: "integer" },
+                        name: { type: "string" }
+                      }
+                    },
+                    summary: {
+                      type: "object",
+                      properties: {
+                        missing: { type: "integer" },
+                        added: { type: "integer" },
+                        already_listed: { type: "integer" },
+                        errors: { type: "integer" }
+                      }
+                    },
+                    lines: {
+                      type: "array",
+                      items: { type: "object", additionalProperties: true }
+                    }
+                  },
+                  required: ["status", "recipe", "list", "summary", "lines"]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Recipe or list resolution failed",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/RecipeNotFound" },
+                    { $ref: "#/components/schemas/MultipleRecipes" },
+                    { $ref: "#/components/schemas/MultipleShoppingLists" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+
+    // Meal plan
+    {
+      method: "GET",
+      path: "/api/enriched/meal_plan",
+      scope: "read",
+      doc: {
+        summary: "Get the meal plan for a date range",
+        description:
+          "Returns every day in the range with its planned recipes, products and notes, " +
+          "with names resolved. Defaults to today and the next 6 days. At most 31 days " +
+          "per request.",
+        operationId: "getMealPlan",
+        parameters: [
+          {
+            name: "from",
+            in: "query",
+            schema: { type: "string", format: "date" }
+          },
+          {
+            name: "to",
+            in: "query",
+            schema: { type: "string", format: "date" }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Meal plan retrieved",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    from: { type: "string", format: "date" },
+                    to: { type: "string", format: "date" },
+                    days: {
+                      type: "array",
+                      maxItems: 31,
+                      items: {
+                        type: "object",
+                        properties: {
+                          day: { type: "string", format: "date" },
+                          entries: {
+                            type: "array",
+                            items: { $ref: "#/components/schemas/EnrichedMealPlanEntry" }
+                          }
+                        }
+                      }
+                    }
+                  },
+                  required: ["from", "to", "days"]
+                }
+              }
+            }
+          },
+          "400": { description: "Invalid or too large date range" },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/meal_plan/add",
+      scope: "household-write",
+      doc: {
+        summary: "Plan a recipe, product or note for a day",
+        "x-stop-on-ambiguity": true,
+        description:
+          "Give exactly one of recipe or product (fuzzy names), or only a note. section " +
+          "is a meal plan section name such as \"Dinner\". Ambiguous names return " +
+          "multiple_recipes, multiple_products or multiple_sections and nothing is " +
+          "planned.",
+        operationId: "addMealPlanEntry",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  day: { type: "string", format: "date" },
+                  section: { type: "string" },
+                  recipe: { type: "string" },
+                  servings: {
+                    type: "number",
+                    exclusiveMinimum: 0,
+                    description: "Defaults to the recipe's servings."
+                  },
+                  product: { type: "string" },
+                  amount: {
+                    type: "number",
+                    exclusiveMinimum: 0,
+                    description: "Product amount in the stock unit. Defaults to 1."
+                  },
+                  note: { type: "string" }
+                },
+                required: ["day"],
+                anyOf: [{ required: ["recipe"] }, { required: ["product"] }, { required: ["note"] }]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": { description: "Entry planned" },
+          "400": {
+            description: "Name resolution failed",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/RecipeNotFound" },
+                    { $ref: "#/components/schemas/MultipleRecipes" },
+                    { $ref: "#/components/schemas/ProductNotFound" },
+                    { $ref: "#/components/schemas/MultipleProducts" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/meal_plan/remove",
+      scope: "household-write",
+      doc: {
+        summary: "Remove a meal plan entry",
+        "x-stop-on-ambiguity": true,
+        description:
+          "Pass entry_id, or a day plus a recipe / product name and/or a section. Names " +
+          "are matched only against that day's entries. Several matching entries return " +
+          "multiple_entries; retry with entry_id.",
+        operationId: "removeMealPlanEntry",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  entry_id: { type: "integer" },
+                  day: { type: "string", format: "date" },
+                  recipe: { type: "string" },
+                  product: { type: "string" },
+                  section: { type: "string" }
+                },
+                anyOf: [{ required: ["entry_id"] }, { required: ["day"] }]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": { description: "Entry removed" },
+          "400": {
+            description: "No single entry matched",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    error: {
+                      type: "string",
+                      enum: ["entry_not_found", "multiple_entries", "invalid_entry_id"]
+                    },
+                    entries: {
+                      type: "array",
+                      items: { $ref: "#/components/schemas/EnrichedMealPlanEntry" }
+                    }
+                  },
+                  required: ["error"]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+
+    // Chores & tasks
+    {
+      method: "GET",
+      path: "/api/enriched/chores",
+      scope: "read",
+      doc: {
+        summary: "List due and overdue chores",
+        description:
+          "Chores whose next estimated execution falls within `days` days (overdue " +
+          "chores are always included), soonest first. Chores without a schedule are " +
+          "omitted.",
+        operationId: "getDueChores",
+        parameters: [
+          {
+            name: "days",
+            in: "query",
+            schema: { type: "integer", default: 7, minimum: 0, maximum: 90 }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Due chores",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    horizon_days: { type: "integer" },
+                    counts: {
+                      type: "object",
+                      properties: {
+                        overdue: { type: "integer" },
+                        due: { type: "integer" }
+                      }
+                    },
+                    items: {
+                      type: "array",
+                      items: { $ref: "#/components/schemas/EnrichedChore" }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          "400": { description: "Invalid days parameter" },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/chores/track",
+      scope: "household-write",
+      doc: {
+        summary: "Track a chore execution by name",
+        "x-stop-on-ambiguity": true,
+        operationId: "trackChore",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["chore"],
+                properties: {
+                  chore: { type: "string", minLength: 1, description: "Chore name (fuzzy matched)" },
+                  done_by: {
+                    type: "string",
+                    description: "User name (fuzzy matched); defaults to the API user"
+                  },
+                  tracked_time: {
+                    type: "string",
+                    pattern: "^\\d{4}-\\d{2}-\\d{2}( \\d{2}:\\d{2}:\\d{2})?$",
+                    description:
+                      "Execution time (YYYY-MM-DD or YYYY-MM-DD HH:MM:SS); defaults to now"
+                  },
+                  skipped: { type: "boolean", default: false }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Execution tracked",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["tracked", "skipped"]
+                    },
+                    chore: {
+                      type: "object",
+                      properties: {
+                        id: { type: "integer" },
+                        name: { type: "string" }
+                      }
+                    },
+                    tracked_time: { type: "string", nullable: true },
+                    done_by: { type: "string", nullable: true }
+                  }
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Chore or user not found or ambiguous",
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    {
+                      type: "object",
+                      properties: {
+                        error: {
+                          type: "string",
+                          enum: ["chore_not_found", "multiple_chores", "invalid_request"]
+                        },
+                        chore: { type: "string" },
+                        chores: {
+                          type: "array",
+                          items: { type: "object" }
+                        }
+                      },
+                      required: ["error"]
+                    },
+                    { $ref: "#/components/schemas/UserNotFound" }
+                  ]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "GET",
+      path: "/api/enriched/tasks",
+      scope: "read",
+      doc: {
+        summary: "List open tasks",
+        description:
+          "Open tasks with assignee and category names; dated tasks first, soonest first.",
+        operationId: "getOpenTasks",
+        responses: {
+          "200": {
+            description: "Open tasks",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    counts: {
+                      type: "object",
+                      properties: {
+                        open: { type: "integer" },
+                        overdue: { type: "integer" }
+                      }
+                    },
+                    items: {
+                      type: "array",
+                      items: { $ref: "#/components/schemas/EnrichedTask" }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/tasks/add",
+      scope: "household-write",
+      doc: {
+        summary: "Create a task",
+        operationId: "addTask",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["name"],
+                properties: {
+                  name: { type: "string", minLength: 1 },
+                  description: { type: "string" },
+                  due_date: { type: "string", format: "date" },
+                  assigned_to: { type: "string", description: "User name (fuzzy matched)" }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Task created",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["created"]
+                    },
+                    task: {
+                      type: "object",
+                      properties: {
+                        task_id: { type: "integer", nullable: true },
+                        name: { type: "string" },
+                        due_date: { type: "string", format: "date", nullable: true },
+                        assigned_to: { type: "string", nullable: true }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Invalid request or assignee not found",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/UserNotFound" }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/tasks/complete",
+      scope: "household-write",
+      doc: {
+        summary: "Complete a task by name or id",
+        "x-stop-on-ambiguity": true,
+        description: "Only open tasks are considered when matching by name.",
+        operationId: "completeTask",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  task: { type: "string", description: "Task name (fuzzy matched)" },
+                  task_id: { type: "integer" }
+                },
+                anyOf: [{ required: ["task"] }, { required: ["task_id"] }]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Task completed",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: {
+                      type: "string",
+                      enum: ["completed"]
+                    },
+                    task: {
+                      type: "object",
+                      properties: {
+                        task_id: { type: "integer" },
+                        name: { type: "string" },
+                        due_date: { type: "string", format: "date", nullable: true }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Task not found or ambiguous",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    error: {
+                      type: "string",
+                      enum: [
+                        "task_not_found",
+                        "multiple_tasks",
+                        "invalid_task_id",
+                        "invalid_request"
+                      ]
+                    },
+                    task: { type: "string" },
+                    tasks: {
+                      type: "array",
+                      items: { type: "object" }
+                    }
+                  },
+                  required: ["error"]
+                }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+
+    // Audit
+    {
+      method: "GET",
+      path: "/api/enriched/audit",
+      scope: "audit",
+      doc: {
+        summary: "List recent writes",
+        description:
+          "Every enriched and pass-through POST is logged with the client, input, " +
+          "resolved entities, response status and Grocy transaction ids. Idempotent " +
+          "replays are not logged again. Filters apply to the newest 1000 entries " +
+          "(reported as scanned); newest first by default.",
+        operationId: "getAuditLog",
+        parameters: [
+          {
+            name: "client",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "route",
+            in: "query",
+            description: "Route prefix, e.g. /api/enriched/stock",
+            schema: { type: "string" }
+          },
+          {
+            name: "product",
+            in: "query",
+            description:
+              "Product name contained in a resolved product (case and accent insensitive)",
+            schema: { type: "string" }
+          },
+          {
+            name: "status",
+            in: "query",
+            description: "ok (< 400), error (>= 400) or an exact HTTP status",
+            schema: { type: "string" }
+          },
+          {
+            name: "since",
+            in: "query",
+            schema: { type: "string", format: "date-time" }
+          },
+          {
+            name: "until",
+            in: "query",
+            schema: { type: "string", format: "date-time" }
+          },
+          {
+            name: "order",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["desc", "asc"],
+              default: "desc"
+            }
+          },
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", default: 20, minimum: 1, maximum: 100 }
+          },
+          {
+            name: "cursor",
+            in: "query",
+            schema: { type: "string" }
+          },
+          {
+            name: "offset",
+            in: "query",
+            schema: { type: "integer", minimum: 0 },
+            description: "Alternative to cursor."
+          },
+          {
+            name: "sort",
+            in: "query",
+            schema: {
+              type: "string",
+              enum: ["at"],
+              default: "at"
+            }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Audit entries",
+            content: {
+              "application/json": {
+                schema: {
+                  allOf: [
+                    { $ref: "#/components/schemas/PageInfo" },
+                    {
+                      type: "object",
+                      properties: {
+                        items: {
+                          type: "array",
+                          items: { $ref: "#/components/schemas/AuditEntry" }
+                        },
+                        scanned: {
+                          type: "integer",
+                          description: "Number of recent entries searched"
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          "400": { description: "Invalid filter" },
+          "503": { description: "Audit log storage is not configured" }
+        }
+      }
+    },
+
+    // Cache
+    {
+      method: "POST",
+      path: "/api/enriched/cache/purge",
+      scope: "admin",
+      doc: {
+        summary: "Purge cached Grocy data",
+        description:
+          "Drops cached reference data so the next request fetches it from Grocy, e.g. " +
+          "after editing shopping lists or stores in the Grocy UI. Purges the Cloudflare " +
+          "data centre serving this request only.",
+        operationId: "purgeCache",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  datasets: {
+                    type: "array",
+                    minItems: 1,
+                    items: {
+                      type: "string",
+                      enum: [
+                        "products",
+                        "shopping_lists",
+                        "stores",
+                        "locations",
+                        "product_groups",
+                        "recipes",
+                        "quantity_units",
+                        "quantity_unit_conversions",
+                        "meal_plan_sections",
+                        "product_barcodes",
+                        "users",
+                        "stock_product",
+                        "all"
+                      ]
+                    }
+                  },
+                  product_ids: {
+                    type: "array",
+                    maxItems: 100,
+                    items: { type: "integer" },
+                    description: "Products whose stock_product entries to purge."
+                  }
+                },
+                required: ["datasets"]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": {
+            description: "Cache entries dropped",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: { type: "string", enum: ["purged"] },
+                    datasets: { type: "array", items: { type: "string" } },
+                    product_ids: { type: "array", items: { type: "integer" } }
+                  }
+                }
+              }
+            }
+          },
+          "400": {
+            description: "stock_product needs product_ids",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    error: { type: "string", enum: ["product_ids_required"] },
+                    dataset: { type: "string" }
+                  },
+                  required: ["error"]
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+
+    // Products
+    {
+      method: "GET",
+      path: "/api/enriched/products/search",
+      scope: "read",
+      doc: {
+        summary: "Search products (enriched)",
+        operationId: "searchProducts",
+        parameters: [
+          {
+            name: "q",
+            in: "query",
+            required: true,
+            schema: { type: "string" }
+          },
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", default: 5, minimum: 1, maximum: 10 }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Product search results",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/EnrichedProductSearchResponse" }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "GET",
+      path: "/api/enriched/products/barcode",
+      scope: "read",
+      doc: {
+        summary: "Find product by barcode",
+        description:
+          "Resolves a barcode through Grocy's product barcodes, with the unit and amount " +
+          "one scan stands for. An unknown barcode returns barcode_not_found with a " +
+          "suggestion (name, brand, image) from the external lookup, when one is configured.",
+        operationId: "getProductByBarcode",
+        parameters: [
+          {
+            name: "barcode",
+            in: "query",
+            required: true,
+            schema: { type: "string", minLength: 1 }
+          }
+        ],
+        responses: {
+          "200": {
+            description: "Product the barcode belongs to",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    product: {
+                      type: "object",
+                      properties: {
+                        id: { type: "integer" },
+                        name: { type: "string" }
+                      },
+                      required: ["id", "name"]
+                    },
+                    barcode: { $ref: "#/components/schemas/ScannedBarcode" }
+                  },
+                  required: ["product", "barcode"]
+                }
+              }
+            }
+          },
+          "400": {
+            description: "Barcode not known to Grocy",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/BarcodeNotFound" }
+              }
+            }
+          },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    },
+    {
+      method: "POST",
+      path: "/api/enriched/products/create",
+      scope: "stock-write",
+      invalidates: ["products", "product_barcodes"],
+      doc: {
+        summary: "Create product (enriched)",
+        description:
+          "Creates a new product using human-readable fields. Mandatory fields are " +
+          "resolved automatically. Duplicate product names are rejected.\n" +
+          "Barcodes are attached after the product is created; one that already belongs " +
+          "to a product stops the request (barcode_exists) before anything is created.",
+        operationId: "createProduct",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  name: { type: "string", minLength: 1 },
+                  description: { type: "string" },
+                  default_location: { type: "string" },
+                  quantity_units: { type: "object" },
+                  product_group: { type: "string" },
+                  image_url: {
+                    type: "string",
+                    format: "uri",
+                    description:
+                      "Downloaded (within 5 seconds) and attached as the product picture, " +
+                      "best effort: a failure leaves the product without one."
+                  },
+                  barcodes: {
+                    type: "array",
+                    maxItems: 10,
+                    items: {
+                      type: "object",
+                      properties: {
+                        barcode: { type: "string", minLength: 1 },
+                        amount: {
+                          type: "number",
+                          exclusiveMinimum: 0,
+                          description: "Amount one scan stands for. Defaults to 1."
+                        },
+                        unit: {
+                          type: "string",
+                          description: "Unit of that amount. Defaults to the purchase unit."
+                        },
+                        store: {
+                          type: "string",
+                          description: "Store (fuzzy matched) the barcode is usually bought at."
+                        },
+                        note: { type: "string" }
+                      },
+                      required: ["barcode"]
+                    }
+                  }
+                },
+                required: ["name"]
+              }
+            }
+          }
+        },
+        responses: {
+          "200": { description: "Product created" },
+          "400": { description: "Invalid request, duplicate product or barcode" },
+          "502": { $ref: "#/components/responses/UpstreamError" }
+        }
+      }
+    }
+  ];
+}
+
+// The route table must declare every query parameter readListParams reads, with the same
+// limits, sort keys and defaults as LIST_OPTIONS: undeclared parameters are rejected as
+// unknown_field. A mismatch stops the Worker at startup rather than failing requests.
+function checkListRoutes() {
+  const problems = [];
+  for (const [operationId, options] of Object.entries(LIST_OPTIONS)) {
+    const route = ROUTES.find(r => r.doc.operationId === operationId);
+    const param = name => route?.doc.parameters?.find(p => p.in === "query" && p.name === name)?.schema;
+    const limit = param("limit");
+    const sort = param("sort");
+    const order = param("order");
+
+    if (!route) problems.push(`${operationId}: no such route`);
+    else if (!limit || limit.default !== options.defaultLimit || limit.maximum !== options.maxLimit) {
+      problems.push(`${operationId}: limit`);
+    } else if (!param("cursor") || !param("offset")) problems.push(`${operationId}: cursor / offset`);
+    else if (!sort || sort.default !== options.sorts[0] || sort.enum?.join() !== options.sorts.join()) {
+      problems.push(`${operationId}: sort`);
+    } else if (!order || order.default !== (options.defaultOrder ?? "asc")) problems.push(`${operationId}: order`);
+  }
+  if (problems.length > 0) throw new Error(`Route table does not match LIST_OPTIONS: ${problems.join("; ")}`);
+}
+
+// Shared OpenAPI components referenced from the route docs
+function openApiComponents() {
+  return {
+    securitySchemes: {
+      BearerAuth: {
+        type: "http",
+        scheme: "bearer",
+        description:
+          "Each client has its own named token with scopes: read (enriched GET routes), " +
+          "stock-write, shopping-list-write, household-write (meal plan, chores, tasks), " +
+          "passthrough (native Grocy routes) and audit (the audit log). The scope an " +
+          "operation needs is given by x-required-scope."
+      }
+    },
+    parameters: {
+      IdempotencyKey: {
+        name: "Idempotency-Key",
+        in: "header",
+        required: false,
+        description:
+          "Client-chosen key (max 255 characters) that makes a retry safe. The first " +
+          "response is stored and replayed, with an Idempotent-Replayed: true header, " +
+          "for repeats of the same request within the idempotency window (24 hours by " +
+          "default). Reusing the key with a different body or route returns 409.",
+        schema: { type: "string", maxLength: 255 }
+      }
+    },
+    responses: {
+      EnrichedStockResponse: {
+        description: "Enriched inventory retrieved",
+        content: {
+          "application/json": {
+            schema: {
+              allOf: [
+                {
+                  type: "object",
+                  properties: {
+                    items: {
+                      type: "array",
+                      maxItems: 25,
+                      items: { $ref: "#/components/schemas/EnrichedStockItem" }
+                    }
+                  },
+                  required: ["items"]
+                },
+                { $ref: "#/components/schemas/PageInfo" }
+              ]
+            }
+          }
+        }
+      },
+      ProductResolutionError: {
+        description: "Product resolution failed",
+        content: {
+          "application/json": {
+            schema: {
+              oneOf: [
+                { $ref: "#/components/schemas/ProductNotFound" },
+                { $ref: "#/components/schemas/MultipleProducts" }
+              ]
+            }
+          }
+        }
+      },
+      RateLimited: {
+        description:
+          "The client used up this minute's budget for reads, writes or pass-through " +
+          "calls. Wait Retry-After seconds before retrying.",
+        headers: {
+          "Retry-After": {
+            schema: { type: "integer" }
+          }
+        },
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                error: {
+                  type: "string",
+                  enum: ["rate_limited"]
+                },
+                budget: {
+                  type: "string",
+                  enum: ["read", "write", "passthrough"]
+                },
+                limit: { type: "integer" },
+                window_seconds: { type: "integer" },
+                retry_after_seconds: { type: "integer" }
+              },
+              required: ["error", "budget", "retry_after_seconds"]
+            }
+          }
+        }
+      },
+      InsufficientScope: {
+        description: "The token is valid but lacks the scope this route needs",
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                error: {
+                  type: "string",
+                  enum: ["insufficient_scope"]
+                },
+                required_scope: {
+                  type: "string",
+                  enum: [
+                    "read",
+                    "stock-write",
+                    "shopping-list-write",
+                    "household-write",
+                    "passthrough",
+                    "audit",
+                    "admin"
+                  ]
+                },
+                client: { type: "string", description: "Name of the token that was presented" }
+              },
+              required: ["error", "required_scope"]
+            }
+          }
+        }
+      },
+      IdempotencyConflict: {
+        description:
+          "Idempotency-Key reused with a different request, or the original is still " +
+          "running",
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                error: {
+                  type: "string",
+                  enum: ["idempotency_key_conflict", "idempotency_key_in_progress"]
+                },
+                idempotency_key: { type: "string" }
+              },
+              required: ["error"]
+            }
+          }
+        }
+      },
+      Unauthorized: {
+        description: "Missing or unknown bearer token",
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/ErrorEnvelope" }
+          }
+        }
+      },
+      UpstreamError: {
+        description:
+          "Grocy could not be reached or returned an error; `upstream` says what it answered",
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/ErrorEnvelope" }
+          }
+        }
+      },
+      ValidationFailed: {
+        description: "The query string or body does not match the declared schema",
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/ValidationFailed" }
+          }
+        }
+      }
+    },
+    schemas: {
+      ErrorEnvelope: {
+        type: "object",
+        description:
+          "Fields present on every error body, next to the code-specific details the " +
+          "individual error schemas describe.",
+        properties: {
+          error: { type: "string", description: "Stable machine-readable code" },
+          message: { type: "string", description: "Human-readable explanation" },
+          retryable: {
+            type: "boolean",
+            description: "Whether sending the same request again may succeed"
+          },
+          request_id: {
+            type: "string",
+            description: "Also returned as the X-Request-Id header and stored in the audit log"
+          },
+          upstream: {
+            type: "object",
+            nullable: true,
+            description: "Present when Grocy caused the failure.",
+            properties: {
+              status: {
+                type: "integer",
+                nullable: true,
+                description: "Grocy's HTTP status; null when Grocy could not be reached"
+              },
+              error: {
+                type: "string",
+                nullable: true,
+                description: "Grocy's error text with internal hostnames and credentials removed"
+              }
+            }
+          }
+        },
+        required: ["error", "message", "retryable", "request_id"]
+      },
+      ValidationFailed: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["validation_failed"]
+          },
+          errors: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                in: { type: "string", enum: ["query", "body"] },
+                field: {
+                  type: "string",
+                  nullable: true,
+                  description: "Path such as items[2].amount; null for the body as a whole."
+                },
+                problem: {
+                  type: "string",
+                  enum: [
+                    "required",
+                    "type",
+                    "enum",
+                    "format",
+                    "pattern",
+                    "length",
+                    "range",
+                    "item_count",
+                    "unknown_field",
+                    "alternatives"
+                  ]
+                },
+                expected: {
+                  type: "string",
+                  description: "Accepted type, format or range, e.g. \"number, > 0\"."
+                },
+                received: {
+                  description: "The value that was sent; absent when the field is missing."
+                }
+              },
+              required: ["in", "field", "problem", "expected"]
+            }
+          }
+        },
+        required: ["error", "errors"]
+      },
+      ProductNotFound: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["product_not_found"]
+          },
+          product: { type: "string" }
+        },
+        required: ["error", "product"]
+      },
+      MultipleProducts: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["multiple_products"]
+          },
+          products: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "integer" },
+                name: { type: "string" }
+              },
+              required: ["id", "name"]
+            }
+          }
+        },
+        required: ["error", "products"]
+      },
+      MultipleShoppingLists: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["multiple_lists"]
+          },
+          lists: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "integer" },
+                name: { type: "string" }
+              },
+              required: ["id", "name"]
+            }
+          }
+        },
+        required: ["error", "lists"]
+      },
+      UnitNotConvertible: {
+        type: "object",
+        description:
+          "The given unit exists but Grocy has no quantity unit conversion (direct or " +
+          "chained) from it to the product's stock unit.",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["unit_not_convertible"]
+          },
+          product: {
+            type: "object",
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            }
+          },
+          unit: { type: "string" },
+          stock_unit: { type: "string" }
+        },
+        required: ["error", "product", "unit", "stock_unit"]
+      },
+      StoreNotFound: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["store_not_found"]
+          },
+          store: { type: "string" }
+        },
+        required: ["error", "store"]
+      },
+      MultipleStores: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["multiple_stores"]
+          },
+          stores: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "integer" },
+                name: { type: "string" }
+              },
+              required: ["id", "name"]
+            }
+          }
+        },
+        required: ["error", "stores"]
+      },
+      InvalidQuantityUnit: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["invalid_quantity_unit"]
+          },
+          unit: { type: "string" }
+        },
+        required: ["error", "unit"]
+      },
+      InsufficientStock: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["insufficient_stock"]
+          },
+          product: {
+            type: "object",
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            }
+          },
+          requested: { type: "number" },
+          available: { type: "number" },
+          unit: { type: "string" },
+          location: { type: "string", nullable: true }
+        },
+        required: ["error", "product", "requested", "available"]
+      },
+      NotInStock: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["not_in_stock"]
+          },
+          product: {
+            type: "object",
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            }
+          },
+          location: { type: "string", nullable: true }
+        },
+        required: ["error", "product"]
+      },
+      ScannedBarcode: {
+        type: "object",
+        description: "A Grocy product barcode and what one scan of it stands for.",
+        properties: {
+          barcode: { type: "string" },
+          unit: { type: "string", nullable: true, description: "Unit of amount." },
+          amount: { type: "number", description: "Amount one scan stands for." },
+          store: {
+            type: "object",
+            nullable: true,
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            }
+          },
+          note: { type: "string", nullable: true },
+          count: { type: "integer", description: "Scans booked (stock routes only)." }
+        },
+        required: ["barcode", "unit", "amount"]
+      },
+      BarcodeNotFound: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["barcode_not_found"]
+          },
+          barcode: { type: "string" },
+          suggestion: {
+            type: "object",
+            nullable: true,
+            description:
+              "What the external barcode lookup knows about the barcode; null when no lookup " +
+              "is configured or it has no match. Use it to offer creating the product.",
+            properties: {
+              name: { type: "string" },
+              brand: { type: "string", nullable: true },
+              quantity: { type: "string", nullable: true },
+              image_url: { type: "string", nullable: true },
+              source: { type: "string", description: "Host of the lookup service." }
+            }
+          }
+        },
+        required: ["error", "barcode", "suggestion"]
+      },
+      EnrichedStockItem: {
+        type: "object",
+        properties: {
+          stock_id: { type: "integer" },
+          product_id: { type: "integer" },
+          product_name: { type: "string" },
+          amount: { type: "number" },
+          location: { type: "string", nullable: true },
+          best_before_date: { type: "string", format: "date", nullable: true }
+        },
+        required: ["stock_id", "product_id", "product_name", "amount"]
+      },
+      EnrichedStockSummaryItem: {
+        type: "object",
+        properties: {
+          product_id: { type: "integer" },
+          product_name: { type: "string" },
+          amount: {
+            type: "number",
+            description: "Total amount in stock across all locations, in the stock unit."
+          },
+          unit: { type: "string", nullable: true, description: "Name of the stock unit." },
+          amount_opened: { type: "number" },
+          next_best_before_date: {
+            type: "string",
+            format: "date",
+            nullable: true,
+            description: "Nearest best-before date of any stock entry."
+          },
+          locations: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                location: { type: "string" },
+                amount: { type: "number" }
+              },
+              required: ["location", "amount"]
+            }
+          },
+          min_stock_amount: { type: "number" },
+          below_min_stock: { type: "boolean" }
+        },
+        required: [
+          "product_id",
+          "product_name",
+          "amount",
+          "unit",
+          "locations",
+          "below_min_stock"
+        ]
+      },
+      EnrichedExpiringItem: {
+        type: "object",
+        properties: {
+          stock_id: { type: "integer" },
+          product_id: { type: "integer" },
+          product_name: { type: "string" },
+          location: { type: "string", nullable: true },
+          amount: {
+            type: "number",
+            description: "Amount of this stock entry, in the stock unit."
+          },
+          unit: { type: "string", nullable: true },
+          best_before_date: { type: "string", format: "date" },
+          days_remaining: {
+            type: "integer",
+            description: "Days until the best-before date. Negative when already past."
+          },
+          status: {
+            type: "string",
+            enum: ["due_soon", "overdue", "expired"],
+            description:
+              "overdue is past a best-before date (usually still edible), expired is past a " +
+              "hard expiry date."
+          },
+          opened: { type: "boolean" }
+        },
+        required: [
+          "stock_id",
+          "product_id",
+          "product_name",
+          "amount",
+          "best_before_date",
+          "days_remaining",
+          "status"
+        ]
+      },
+      PageInfo: {
+        type: "object",
+        properties: {
+          total: {
+            type: "integer",
+            description: "Number of rows matching the filters, across all pages."
+          },
+          limit: { type: "integer" },
+          next_cursor: {
+            type: "string",
+            nullable: true,
+            description: "Pass as cursor to fetch the next page. Null on the last page."
+          }
+        },
+        required: ["total", "limit", "next_cursor"]
+      },
+      AuditEntry: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          at: { type: "string", format: "date-time" },
+          client: { type: "string", description: "Name of the token that made the write" },
+          method: { type: "string" },
+          route: { type: "string" },
+          status: { type: "integer", description: "HTTP status returned to the client" },
+          idempotency_key: { type: "string", nullable: true },
+          input: { description: "Request body as sent (truncated above 8 KB)" },
+          resolved: {
+            type: "object",
+            description:
+              "Entities the write resolved to, keyed by kind (product, list, store, " +
+              "location, recipe, chore, task, section).",
+            additionalProperties: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  id: { type: "integer" },
+                  name: { type: "string" }
+                }
+              }
+            }
+          },
+          transaction_ids: {
+            type: "array",
+            items: { type: "string" }
+          },
+          batch_id: { type: "string", nullable: true },
+          error: { type: "string", nullable: true }
+        },
+        required: ["id", "at", "client", "method", "route", "status"]
+      },
+      EnrichedStockAddResult: {
+        type: "object",
+        properties: {
+          product: {
+            type: "object",
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            },
+            required: ["id", "name"]
+          },
+          transaction_id: {
+            type: "string",
+            nullable: true,
+            description:
+              "Grocy booking id; pass it to /api/enriched/stock/undo to revert. Null for dry " +
+              "runs."
+          },
+          interpreted_as: {
+            type: "object",
+            properties: {
+              amount: { type: "number", description: "Amount booked, in the stock unit." },
+              unit: { type: "string", description: "Name of the product's stock unit." },
+              price: {
+                type: "number",
+                nullable: true,
+                description: "Price as given, per the unit the amount was given in."
+              },
+              price_per_stock_unit: {
+                type: "number",
+                nullable: true,
+                description: "Price recorded in Grocy, per stock unit."
+              },
+              store: {
+                type: "object",
+                nullable: true,
+                properties: {
+                  id: { type: "integer" },
+                  name: { type: "string" }
+                }
+              },
+              purchased_at: { type: "string", format: "date", nullable: true },
+              conversion: {
+                type: "object",
+                nullable: true,
+                description: "Present when a unit was given and converted to the stock unit.",
+                properties: {
+                  amount: { type: "number" },
+                  unit: { type: "string" },
+                  factor: { type: "number" },
+                  stock_amount: { type: "number" },
+                  stock_unit: { type: "string" }
+                }
+              }
+            }
+          }
+        },
+        required: ["product", "interpreted_as"]
+      },
+      ConsumeLine: {
+        type: "object",
+        properties: {
+          product: { type: "string", minLength: 1 },
+          amount: {
+            type: "number",
+            exclusiveMinimum: 0,
+            description:
+              "Amount in the product's stock unit. Leave out when sending consume_all."
+          },
+          consume_all: {
+            type: "boolean",
+            description: "Consume everything in stock (at the given location, if any)."
+          },
+          spoiled: {
+            type: "boolean",
+            description: "Book the consumption as spoiled / thrown away."
+          },
+          location: {
+            type: "string",
+            description: "Location name to consume from. Defaults to any location."
+          }
+        },
+        required: ["product"],
+        oneOf: [{ required: ["amount"] }, { required: ["consume_all"] }]
+      },
+      EnrichedConsumeResult: {
+        type: "object",
+        properties: {
+          product: {
+            type: "object",
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            },
+            required: ["id", "name"]
+          },
+          transaction_id: {
+            type: "string",
+            nullable: true,
+            description: "Grocy booking id; pass it to /api/enriched/stock/undo to revert."
+          },
+          interpreted_as: {
+            type: "object",
+            properties: {
+              amount: { type: "number" },
+              unit: { type: "string" },
+              consume_all: { type: "boolean" },
+              spoiled: { type: "boolean" },
+              location: { type: "string", nullable: true }
+            }
+          },
+          remaining: {
+            type: "object",
+            description: "Stock left for the product after this booking, in the stock unit.",
+            properties: {
+              amount: { type: "number" },
+              unit: { type: "string" }
+            }
+          }
+        },
+        required: ["product", "interpreted_as", "remaining"]
+      },
+      EnrichedUndoLine: {
+        type: "object",
+        properties: {
+          line: {
+            type: "integer",
+            nullable: true,
+            description: "Line of the original bulk request, when undoing a batch."
+          },
+          status: {
+            type: "string",
+            enum: ["undone", "error"]
+          },
+          transaction_id: { type: "string" },
+          transaction_type: {
+            type: "string",
+            description: "Grocy booking type, e.g. purchase or consume."
+          },
+          product: {
+            type: "object",
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            }
+          },
+          amount: { type: "number", description: "Amount reverted, in the stock unit." },
+          unit: { type: "string", nullable: true },
+          error: {
+            type: "string",
+            enum: [
+              "transaction_not_found",
+              "already_undone",
+              "undo_failed",
+              "stock_log_unavailable",
+              "products_unavailable"
+            ]
+          }
+        },
+        required: ["status", "transaction_id"]
+      },
+      EnrichedShoppingList: {
+        type: "object",
+        properties: {
+          total: { type: "integer" },
+          limit: { type: "integer" },
+          next_cursor: { type: "string", nullable: true },
+          list: {
+            type: "object",
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            },
+            required: ["id", "name"]
+          },
+          items: {
+            type: "array",
+            items: { $ref: "#/components/schemas/EnrichedShoppingListItem" }
+          }
+        },
+        required: ["list", "items"]
+      },
+      EnrichedShoppingListItem: {
+        type: "object",
+        properties: {
+          item_id: {
+            type: "integer",
+            description: "Shopping list row id. Only needed when a product is listed twice."
+          },
+          done: { type: "boolean" },
+          product_id: { type: "integer" },
+          product_name: { type: "string" },
+          amount: { type: "number" },
+          note: { type: "string", nullable: true },
+          last_store: { type: "string", nullable: true },
+          pricing: {
+            type: "object",
+            description:
+              "Pricing context derived from the last recorded purchase. Values are " +
+              "informational only and may include unit identifiers and conversion factors. " +
+              "Do not assume arithmetic correctness unless explicitly instructed.",
+            additionalProperties: true
+          }
+        },
+        required: ["product_id", "product_name", "amount"]
+      },
+      ShoppingListItemRef: {
+        type: "object",
+        description: "Identifies one shopping list row by fuzzy product name (or item_id).",
+        properties: {
+          product: {
+            type: "string",
+            description: "Product name, matched only against products on the list."
+          },
+          item_id: {
+            type: "integer",
+            description: "Row id from a multiple_items error or the list GET."
+          },
+          shopping_list_id: { type: "integer" }
+        },
+        anyOf: [{ required: ["product"] }, { required: ["item_id"] }]
+      },
+      EnrichedShoppingListItemChange: {
+        type: "object",
+        properties: {
+          status: { type: "string" },
+          list: {
+            type: "object",
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            }
+          },
+          item: {
+            type: "object",
+            properties: {
+              item_id: { type: "integer" },
+              product_id: { type: "integer" },
+              product_name: { type: "string" },
+              amount: { type: "number" },
+              note: { type: "string", nullable: true },
+              done: { type: "boolean" }
+            }
+          }
+        },
+        required: ["status", "list", "item"]
+      },
+      ShoppingListItemError: {
+        type: "object",
+        description:
+          "item_not_on_list when the product is not on the list, multiple_items when it " +
+          "is listed more than once (retry with item_id).",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["item_not_on_list", "multiple_items"]
+          },
+          product: { type: "string" },
+          items: {
+            type: "array",
+            items: { type: "object", additionalProperties: true }
+          }
+        },
+        required: ["error"]
+      },
+      MultipleRecipes: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["multiple_recipes"]
+          },
+          recipes: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "integer" },
+                name: { type: "string" }
+              },
+              required: ["id", "name"]
+            }
+          }
+        },
+        required: ["error", "recipes"]
+      },
+      RecipeNotFound: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["recipe_not_found"]
+          },
+          recipe: { type: "string" }
+        },
+        required: ["error", "recipe"]
+      },
+      EnrichedRecipeIngredient: {
+        type: "object",
+        properties: {
+          product_id: { type: "integer" },
+          product_name: { type: "string" },
+          amount: { type: "number", description: "Amount in the unit chosen in the recipe." },
+          unit: { type: "string", nullable: true },
+          stock_amount: {
+            type: "number",
+            description: "Same amount in the product's stock unit."
+          },
+          stock_unit: { type: "string", nullable: true },
+          note: { type: "string", nullable: true },
+          group: { type: "string", nullable: true },
+          in_stock: { type: "number" },
+          missing_amount: { type: "number", description: "Amount missing, in the stock unit." },
+          fulfilled: { type: "boolean" }
+        },
+        required: [
+          "product_id",
+          "product_name",
+          "amount",
+          "unit",
+          "missing_amount",
+          "fulfilled"
+        ]
+      },
+      EnrichedMealPlanEntry: {
+        type: "object",
+        properties: {
+          entry_id: { type: "integer" },
+          type: {
+            type: "string",
+            enum: ["recipe", "product", "note"]
+          },
+          section: { type: "string", nullable: true },
+          recipe: {
+            type: "object",
+            nullable: true,
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            }
+          },
+          servings: { type: "number", nullable: true },
+          product: {
+            type: "object",
+            nullable: true,
+            properties: {
+              id: { type: "integer" },
+              name: { type: "string" }
+            }
+          },
+          amount: { type: "number", nullable: true },
+          unit: { type: "string", nullable: true },
+          note: { type: "string", nullable: true }
+        },
+        required: ["entry_id", "type"]
+      },
+      EnrichedChore: {
+        type: "object",
+        properties: {
+          chore_id: { type: "integer" },
+          name: { type: "string" },
+          next_execution: {
+            type: "string",
+            nullable: true,
+            description: "Next estimated execution time (Grocy local time)"
+          },
+          due_in_days: {
+            type: "integer",
+            description: "Days from today to next_execution; negative when overdue"
+          },
+          overdue: { type: "boolean" },
+          assigned_to: {
+            type: "string",
+            nullable: true,
+            description: "Display name of the user the next execution is assigned to"
+          },
+          last_tracked: { type: "string", nullable: true }
+        },
+        required: ["chore_id", "name", "due_in_days", "overdue"]
+      },
+      EnrichedTask: {
+        type: "object",
+        properties: {
+          task_id: { type: "integer" },
+          name: { type: "string" },
+          description: { type: "string", nullable: true },
+          due_date: { type: "string", format: "date", nullable: true },
+          due_in_days: { type: "integer", nullable: true },
+          overdue: { type: "boolean" },
+          assigned_to: { type: "string", nullable: true },
+          category: { type: "string", nullable: true }
+        },
+        required: ["task_id", "name", "overdue"]
+      },
+      UserNotFound: {
+        type: "object",
+        properties: {
+          error: {
+            type: "string",
+            enum: ["user_not_found", "multiple_users"]
+          },
+          user: { type: "string" },
+          users: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "integer" },
+                name: { type: "string" }
+              }
+            }
+          }
+        },
+        required: ["error"]
+      },
+      EnrichedProductSearchResult: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          name: { type: "string" },
+          confidence: {
+            type: "number",
+            minimum: 0,
+            maximum: 1,
+            description:
+              "Match score / 100. 1 is an exact name match (case and accents ignored), 0.97 " +
+              "the same words up to plural forms, 0.95 an exact alias match. Word-order " +
+              "independent token matches score up to 0.85."
+          },
+          match: { $ref: "#/components/schemas/MatchBreakdown" }
+        },
+        required: ["id", "name", "confidence"]
+      },
+      MatchBreakdown: {
+        type: "object",
+        description: "How the score was reached.",
+        properties: {
+          score: { type: "integer" },
+          kind: {
+            type: "string",
+            enum: ["exact", "plural", "tokens", "alias_exact", "alias_plural", "alias_tokens"]
+          },
+          alias: {
+            type: "string",
+            nullable: true,
+            description: "The product alias that matched, if any."
+          },
+          coverage: {
+            type: "number",
+            description: "Share of query words matched (partial credit for typos and prefixes)."
+          },
+          precision: {
+            type: "number",
+            description: "Share of the name's words that were matched."
+          },
+          tokens: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                query: { type: "string" },
+                matched: { type: "string", nullable: true },
+                kind: {
+                  type: "string",
+                  nullable: true,
+                  enum: ["exact", "plural", "prefix", "typo", "contains", null]
+                }
+              }
+            }
+          }
+        }
+      },
+      EnrichedProductSearchResponse: {
+        type: "object",
+        properties: {
+          query: { type: "string" },
+          decisive: {
+            type: "boolean",
+            description:
+              "True when stock and shopping list routes would pick the first match for this " +
+              "query instead of returning multiple_products."
+          },
+          matches: {
+            type: "array",
+            maxItems: 10,
+            items: { $ref: "#/components/schemas/EnrichedProductSearchResult" }
+          }
+        },
+        required: ["query", "matches"]
+      }
+    }
+  };
+}
+
+// A route's 400 response widened to also cover validation_failed
+function withValidationFailed(badRequest) {
+  if (!badRequest) return { $ref: "#/components/responses/ValidationFailed" };
+  const schema = badRequest.content?.["application/json"].schema;
+  const validationFailed = { $ref: "#/components/schemas/ValidationFailed" };
+  return {
+    ...badRequest,
+    content: {
+      "application/json": {
+        schema: schema ? { oneOf: [...(schema.oneOf ?? [schema]), validationFailed] } : validationFailed
+      }
+    }
+  };
+}
+
+// Builds the OpenAPI document from the route table; `servers` is the host the request came in on.
+function openApiDocument(serverUrl) {
+  const paths = {};
+  for (const route of ROUTES) {
+    const isWrite = route.method === "POST";
+    const operation = { ...route.doc, "x-required-scope": route.scope };
+    if (isWrite) {
+      operation.parameters = [
+        { $ref: "#/components/parameters/IdempotencyKey" },
+        ...(route.doc.parameters ?? [])
+      ];
+    }
+    operation.responses = {
+      ...route.doc.responses,
+      // Every route validates its input, so every route can answer validation_failed
+      "400": withValidationFailed(route.doc.responses["400"]),
+      ...(isWrite ? { "409": { $ref: "#/components/responses/IdempotencyConflict" } } : {}),
+      "401": { $ref: "#/components/responses/Unauthorized" },
+      "403": { $ref: "#/components/responses/InsufficientScope" },
+      "429": { $ref: "#/components/responses/RateLimited" }
+    };
+
+    paths[route.path] ??= {};
+    paths[route.path][route.method.toLowerCase()] = operation;
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Grocy API (Enriched via Cloudflare Worker)",
+      version: "1.2.2",
+      description:
+        "GPT-oriented Grocy API exposed via a Cloudflare Worker. Native Grocy " +
+        "endpoints are proxied with strict limits: only allow-listed paths (read-only " +
+        "by default) are forwarded, responses are size-capped, and blocked requests " +
+        "return 403 passthrough_blocked. Enriched endpoints provide denormalized, " +
+        "human-readable responses with fuzzy resolution and partial-success semantics.\n" +
+        "Clients should treat ambiguity responses as terminal and request user " +
+        "clarification before retrying.\n" +
+        "IMPORTANT BEHAVIOUR NOTES:\n" +
+        "- Product name resolution is fuzzy and may be ambiguous.\n" +
+        "- Bulk operations may partially succeed.\n" +
+        "- Amounts are in the product's stock unit unless a unit is given; stock add " +
+        "converts a given unit with Grocy's conversions and books the price per stock unit.\n" +
+        "- List endpoints are paginated. Follow next_cursor until it is null before " +
+        "concluding that an item does not exist.\n" +
+        "- Send an Idempotency-Key header on POST requests so that retries after a " +
+        "timeout are not applied twice.\n" +
+        "- Requests are rate limited per client. On 429, wait Retry-After seconds " +
+        "instead of retrying immediately.\n" +
+        "- Unknown fields are rejected. A 400 validation_failed lists every offending " +
+        "field; fix those fields instead of resending as is.\n" +
+        "- Every error body also carries message, retryable and request_id (see " +
+        "ErrorEnvelope). Only retry when retryable is true.",
+      "x-capabilities": {
+        fuzzy_product_resolution: true,
+        partial_success_bulk_operations: true,
+        implicit_unit_handling: false,
+        unit_conversion: true,
+        silent_truncation: false,
+        cursor_pagination: true,
+        idempotency_keys: true,
+        dry_run_writes: true,
+        undo_stock_bookings: true,
+        passthrough_allow_list: true,
+        audit_log: true,
+        rate_limits: true,
+        denormalized_responses: true
+      }
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ BearerAuth: [] }],
+    components: OPENAPI_COMPONENTS,
+    paths
+  };
+}
+
+// Minimal YAML emitter for the OpenAPI document: block mappings and sequences, with every
+// string double-quoted (JSON string syntax is valid YAML, so no escaping rules of its own).
+function toYaml(value, indent = 0) {
+  const pad = " ".repeat(indent);
+  const isBlock = v => v !== null && typeof v === "object" && Object.keys(v).length > 0;
+  const scalar = v => {
+    if (v === null || v === undefined) return "null";
+    if (typeof v === "string") return JSON.stringify(v);
+    if (typeof v === "object") return Array.isArray(v) ? "[]" : "{}";
+    return String(v);
+  };
+  const yamlKey = k => (/^[A-Za-z_$][\w$.-]*$/.test(k) ? k : JSON.stringify(k));
+
+  if (Array.isArray(value)) {
+    return value
+      .map(item => (isBlock(item)
+        ? `${pad}- ${toYaml(item, indent + 2).trimStart()}`
+        : `${pad}- ${scalar(item)}`))
+      .join("\n");
+  }
+  return Object.entries(value)
+    .map(([k, v]) => (isBlock(v)
+      ? `${pad}${yamlKey(k)}:\n${toYaml(v, indent + 2)}`
+      : `${pad}${yamlKey(k)}: ${scalar(v)}`))
+    .join("\n");
+}